@@ -1,5 +1,19 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { hasPermission, isVillageScoped } = require('../utils/policy');
+
+// Resolve the user an access token belongs to, or null when the token
+// was revoked by bumping the user's tokenVersion. Email tokens (see
+// utils/tokens) are signed with the same secret but carry a `purpose`
+// and are never accepted here.
+const userFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+  if (decoded.purpose) return null;
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user || (decoded.v || 0) !== user.tokenVersion) return null;
+  return user;
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -9,8 +23,7 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await userFromToken(token);
     
     if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
@@ -23,16 +36,86 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Auth for event streams: browsers' EventSource cannot send headers,
+// so the token may also be passed as `?token=`. Sets `req.tokenExpiresAt`
+// so long-lived streams can end when the token does.
+const streamAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '') || req.query.token;
+
+    if (!token) {
+      return res.status(401).json({ message: 'No token, authorization denied' });
+    }
+
+    const user = await userFromToken(token);
+
+    if (!user) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
+    req.user = user;
+    req.tokenExpiresAt = new Date(jwt.decode(token).exp * 1000);
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+// Optional auth middleware for GET routes
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+      const user = await userFromToken(token);
+      if (user) {
+        req.user = user;
+      }
+    }
+    next();
+  } catch (error) {
+    // Continue without user if token is invalid
+    next();
+  }
+};
+
+// Require a permission from utils/policy. Record-level checks (ownership,
+// village scope) are done in the route with `can`.
+const permit = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
+
 const adminAuth = async (req, res, next) => {
   try {
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.user, 'admin:access')) {
       return res.status(403).json({ message: 'Access denied. Admin only.' });
     }
+    if (isVillageScoped(req.user) && !req.user.village) {
+      return res.status(403).json({ message: 'Village admin is not assigned to a village' });
+    }
     next();
   } catch (error) {
     res.status(403).json({ message: 'Access denied' });
   }
 };
 
-module.exports = { auth, adminAuth };
+// Unverified accounts can report problems but not post to the forum,
+// propose solutions or comment. Accounts without the flag predate email
+// verification and are not restricted.
+const verifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+  next();
+};
 
+module.exports = {
+  auth,
+  streamAuth,
+  optionalAuth,
+  permit,
+  adminAuth,
+  verifiedEmail
+};
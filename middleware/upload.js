@@ -0,0 +1,76 @@
+const multer = require('multer');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const DOCUMENT_TYPES = ['application/pdf'];
+const MAX_FILE_SIZE = (parseInt(process.env.UPLOAD_MAX_SIZE_MB) || 5) * 1024 * 1024;
+const MAX_FILES = 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (![...IMAGE_TYPES, ...DOCUMENT_TYPES].includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+const uploadErrorMessages = {
+  LIMIT_FILE_SIZE: `Files must be smaller than ${MAX_FILE_SIZE / (1024 * 1024)} MB`,
+  LIMIT_FILE_COUNT: `At most ${MAX_FILES} files can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: `Only ${[...IMAGE_TYPES, ...DOCUMENT_TYPES].join(', ')} files are allowed in the "files" field`
+};
+
+// Accept up to MAX_FILES files in the multipart "files" field
+const uploadFiles = (req, res, next) => {
+  upload.array('files', MAX_FILES)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: uploadErrorMessages[error.code] || error.message });
+    }
+    if (error) return next(error);
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+    next();
+  });
+};
+
+// Browsers label CSV files inconsistently, so the extension is checked too
+const CSV_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+const MAX_CSV_SIZE = (parseInt(process.env.IMPORT_MAX_SIZE_MB) || 2) * 1024 * 1024;
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CSV_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!CSV_TYPES.includes(file.mimetype) || !/\.csv$/i.test(file.originalname)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+const csvErrorMessages = {
+  LIMIT_FILE_SIZE: `CSV files must be smaller than ${MAX_CSV_SIZE / (1024 * 1024)} MB`,
+  LIMIT_FILE_COUNT: 'Only one CSV file can be uploaded at a time',
+  LIMIT_UNEXPECTED_FILE: 'Upload a single .csv file in the "file" field'
+};
+
+// Accept one CSV file in the multipart "file" field
+const uploadCsv = (req, res, next) => {
+  csvUpload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: csvErrorMessages[error.code] || error.message });
+    }
+    if (error) return next(error);
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    next();
+  });
+};
+
+module.exports = { uploadFiles, uploadCsv, IMAGE_TYPES };
@@ -0,0 +1,20 @@
+const { blockedWord, WORD_FILTER_ACTION } = require('../utils/moderation');
+
+// Screen the body `fields` of new content against the word filter (see
+// utils/moderation). Matching content is rejected, or in hold mode let
+// through with `req.heldFor` set so the route saves it hidden and queues
+// it with heldFields/holdForReview.
+const screenContent = (...fields) => (req, res, next) => {
+  const word = blockedWord(...fields.map((field) => req.body[field]));
+
+  if (!word) return next();
+
+  if (WORD_FILTER_ACTION === 'reject') {
+    return res.status(400).json({ message: 'Please remove inappropriate language and try again' });
+  }
+
+  req.heldFor = word;
+  next();
+};
+
+module.exports = { screenContent };
@@ -0,0 +1,18 @@
+const { body } = require('express-validator');
+const { writableFields } = require('../utils/policy');
+
+// Validation chain rejecting body fields the user's role may not set on
+// `modelName` (see WRITABLE_FIELDS in utils/policy). Runs after `auth`.
+const onlyWritableFields = (modelName, operation) => {
+  return body().custom((value, { req }) => {
+    const allowed = writableFields(req.user, modelName, operation);
+    const rejected = Object.keys(req.body || {}).filter((field) => !allowed.includes(field));
+
+    if (rejected.length) {
+      throw new Error(`These fields cannot be set: ${rejected.join(', ')}`);
+    }
+    return true;
+  });
+};
+
+module.exports = { onlyWritableFields };
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Append-only record of an admin action. Entries are never updated or
+// deleted through the application.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Role at the time of the action; roles can change later
+  actorRole: {
+    type: String
+  },
+  // e.g. "user.role", "problem.delete", "forum.pin"
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  target: {
+    kind: {
+      type: String,
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    // Readable name kept for targets that are later deleted
+    label: {
+      type: String
+    }
+  },
+  // Village of the target, so village admins see their own village's log
+  village: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village',
+    index: true
+  },
+  // Only the fields that changed
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ 'target.kind': 1, 'target.id': 1, createdAt: -1 });
+
+auditLogSchema.statics.SORTABLE_FIELDS = ['createdAt'];
+
+const refuse = function(next) {
+  next(new Error('Audit log entries cannot be changed'));
+};
+
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], refuse);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], refuse);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return refuse(next);
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const attachmentSchema = require('./schemas/attachment');
+
+// Money actually spent implementing a solution
+const expenseSchema = new mongoose.Schema({
+  solution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Solution',
+    required: true,
+    index: true
+  },
+  village: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village',
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Bill, invoice or voucher number; every expense must be traceable
+  receiptReference: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Scans or photos of the receipt
+  receipts: [attachmentSchema],
+  spentAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Expense', expenseSchema);
@@ -1,4 +1,64 @@
 const mongoose = require('mongoose');
+const attachmentSchema = require('./schemas/attachment');
+const commentSchema = require('./schemas/comment');
+const { moderationFields } = require('./schemas/moderation');
+
+// Forum comments can be upvoted as well
+const forumCommentSchema = commentSchema.clone();
+forumCommentSchema.add({
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+});
+
+const RSVP_STATUSES = ['going', 'maybe', 'not-going'];
+
+// rsvpCounts field counting each RSVP status
+const RSVP_COUNTS = { going: 'going', maybe: 'maybe', 'not-going': 'notGoing' };
+
+// Details of posts in the "event" category
+const eventSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    validate: {
+      validator: function(endsAt) {
+        return !endsAt || !this.startsAt || endsAt >= this.startsAt;
+      },
+      message: 'The event must end after it starts'
+    }
+  },
+  venue: {
+    type: String,
+    trim: true
+  },
+  // Most people who can RSVP "going"; unlimited when unset
+  capacity: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+
+const rsvpSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: RSVP_STATUSES,
+    required: true
+  },
+  respondedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const forumPostSchema = new mongoose.Schema({
   title: {
@@ -15,6 +75,11 @@ const forumPostSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  village: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village',
+    index: true
+  },
   category: {
     type: String,
     enum: ['general', 'announcement', 'discussion', 'event', 'help'],
@@ -27,28 +92,59 @@ const forumPostSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    text: String,
-    upvotes: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    }],
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  comments: [forumCommentSchema],
+  attachments: [attachmentSchema],
   isPinned: {
     type: Boolean,
     default: false
-  }
+  },
+  event: eventSchema,
+  rsvps: [rsvpSchema],
+  // Kept in step with `rsvps` on save, and by the RSVP route's atomic updates
+  rsvpCounts: {
+    going: {
+      type: Number,
+      default: 0
+    },
+    maybe: {
+      type: Number,
+      default: 0
+    },
+    notGoing: {
+      type: Number,
+      default: 0
+    }
+  },
+  ...moderationFields
 }, {
   timestamps: true
 });
 
+forumPostSchema.statics.SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'title'];
+forumPostSchema.statics.RSVP_STATUSES = RSVP_STATUSES;
+forumPostSchema.statics.RSVP_COUNTS = RSVP_COUNTS;
+
+forumPostSchema.index({ village: 1, 'event.startsAt': 1 }, { partialFilterExpression: { category: 'event' } });
+
+forumPostSchema.pre('save', function(next) {
+  if (this.isModified('rsvps')) {
+    this.rsvpCounts = Object.fromEntries(RSVP_STATUSES.map((status) => [
+      RSVP_COUNTS[status],
+      this.rsvps.filter((rsvp) => rsvp.status === status).length
+    ]));
+  }
+  next();
+});
+
+// Whether the event is over: after its end, or its start when it has no end
+forumPostSchema.methods.hasEnded = function(now = new Date()) {
+  return !!this.event && (this.event.endsAt || this.event.startsAt) < now;
+};
+
+forumPostSchema.index(
+  { title: 'text', content: 'text', tags: 'text' },
+  { weights: { title: 10, tags: 5, content: 1 }, name: 'forum_post_text' }
+);
+
 module.exports = mongoose.model('ForumPost', forumPostSchema);
 
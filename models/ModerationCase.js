@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const CONTENT_KINDS = ['Problem', 'Solution', 'ForumPost', 'ForumComment', 'SolutionComment'];
+const FLAG_REASONS = ['spam', 'abuse', 'harassment', 'misinformation', 'inappropriate', 'other'];
+const MODERATION_ACTIONS = ['hide', 'restore', 'delete', 'warn'];
+
+const flagSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: FLAG_REASONS,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const decisionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: MODERATION_ACTIONS,
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One case per piece of flagged (or word-filtered) content, collecting its
+// flags and the moderators' decisions. Open cases form the moderation queue.
+const moderationCaseSchema = new mongoose.Schema({
+  content: {
+    kind: {
+      type: String,
+      enum: CONTENT_KINDS,
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    // Forum post or solution holding a flagged comment
+    parent: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
+  village: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village',
+    index: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  excerpt: {
+    type: String
+  },
+  flags: [flagSchema],
+  // Flags since the last moderator decision; compared with the auto-hide threshold
+  flagCount: {
+    type: Number,
+    default: 0
+  },
+  lastFlaggedAt: {
+    type: Date
+  },
+  // Blocked word that held the content back when it was created
+  filterMatch: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['open', 'hidden', 'restored', 'deleted'],
+    default: 'open',
+    index: true
+  },
+  isContentHidden: {
+    type: Boolean,
+    default: false
+  },
+  decisions: [decisionSchema]
+}, {
+  timestamps: true
+});
+
+moderationCaseSchema.index({ 'content.kind': 1, 'content.id': 1 }, { unique: true });
+
+moderationCaseSchema.statics.CONTENT_KINDS = CONTENT_KINDS;
+moderationCaseSchema.statics.FLAG_REASONS = FLAG_REASONS;
+moderationCaseSchema.statics.SORTABLE_FIELDS = ['createdAt', 'lastFlaggedAt', 'flagCount'];
+
+module.exports = mongoose.model('ModerationCase', moderationCaseSchema);
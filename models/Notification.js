@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['problem-assigned', 'problem-claim', 'problem-merged', 'problem-overdue', 'solution-status', 'solution-funding', 'forum-comment', 'solution-comment', 'content-hidden', 'moderation-warning'];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  target: {
+    kind: {
+      type: String,
+      enum: ['Problem', 'Solution', 'ForumPost']
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'target.kind'
+    }
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One-time login code sent by SMS. Only an HMAC of the code is stored.
+const otpCodeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    index: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: {
+    type: Date
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+otpCodeSchema.index({ ip: 1, createdAt: -1 });
+
+// Codes are kept for a day so send limits can be counted, then dropped
+otpCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
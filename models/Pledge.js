@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Money promised (status "pledged") or handed over (status "received")
+// towards an approved solution, by a user or by an external donor.
+const pledgeSchema = new mongoose.Schema({
+  solution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Solution',
+    required: true,
+    index: true
+  },
+  village: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village',
+    index: true
+  },
+  // Set for pledges made by users of the platform
+  pledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set for external donors recorded by an admin
+  donor: {
+    name: {
+      type: String,
+      trim: true
+    },
+    organization: {
+      type: String,
+      trim: true
+    },
+    contact: {
+      type: String,
+      trim: true
+    }
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pledged', 'received', 'cancelled'],
+    default: 'pledged'
+  },
+  // Hide the donor's name from other users
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  receivedAt: {
+    type: Date
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+pledgeSchema.pre('validate', function(next) {
+  if (!this.pledgedBy && !(this.donor && this.donor.name)) {
+    return next(new Error('A pledge needs a user or a donor name'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Pledge', pledgeSchema);
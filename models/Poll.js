@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const POLL_TARGETS = ['ForumPost', 'Problem'];
+const RESULTS_VISIBILITY = ['live', 'after-close'];
+
+const optionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lets a problem's poll decide between its proposed solutions
+  solution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Solution'
+  }
+});
+
+const pollSchema = new mongoose.Schema({
+  target: {
+    kind: {
+      type: String,
+      enum: POLL_TARGETS,
+      required: true
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'target.kind',
+      required: true
+    }
+  },
+  village: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village',
+    index: true
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  options: {
+    type: [optionSchema],
+    validate: {
+      validator: (options) => options.length >= 2,
+      message: 'A poll needs at least two options'
+    }
+  },
+  multipleChoice: {
+    type: Boolean,
+    default: false
+  },
+  // Most options one ballot may pick in a multiple-choice poll; unlimited when unset
+  maxChoices: {
+    type: Number,
+    min: 1
+  },
+  opensAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Open-ended polls run until they are closed by hand
+  closesAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
+  // Only members of `village` may vote
+  villageOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Anonymous polls never reveal who voted for what
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  resultsVisibility: {
+    type: String,
+    enum: RESULTS_VISIBILITY,
+    default: 'live'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+pollSchema.index({ 'target.kind': 1, 'target.item': 1 });
+
+pollSchema.statics.TARGETS = POLL_TARGETS;
+pollSchema.statics.RESULTS_VISIBILITY = RESULTS_VISIBILITY;
+pollSchema.statics.SORTABLE_FIELDS = ['createdAt', 'opensAt'];
+
+// 'scheduled', 'open' or 'closed'
+pollSchema.methods.statusAt = function(now = new Date()) {
+  if (this.closedAt || (this.closesAt && this.closesAt <= now)) return 'closed';
+  return this.opensAt > now ? 'scheduled' : 'open';
+};
+
+pollSchema.methods.resultsVisible = function(now = new Date()) {
+  return this.resultsVisibility === 'live' || this.statusAt(now) === 'closed';
+};
+
+module.exports = mongoose.model('Poll', pollSchema);
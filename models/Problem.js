@@ -1,4 +1,149 @@
 const mongoose = require('mongoose');
+const attachmentSchema = require('./schemas/attachment');
+const { moderationFields } = require('./schemas/moderation');
+const { deadline } = require('../utils/sla');
+
+// Allowed status changes; resolved and closed problems can be reopened
+const STATUS_TRANSITIONS = {
+  open: ['in-progress'],
+  'in-progress': ['resolved'],
+  resolved: ['closed', 'open'],
+  closed: ['open']
+};
+
+// Merging a duplicate also closes it while nobody is working on it yet
+const MERGE_TRANSITIONS = {
+  open: ['closed']
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const escalationSchema = new mongoose.Schema({
+  // Which deadline was missed: "response" or "resolution"
+  reason: {
+    type: String,
+    enum: ['response', 'resolution'],
+    required: true
+  },
+  from: {
+    type: String
+  },
+  to: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ASSIGNEE_ROLES = ['lead', 'helper'];
+
+const assigneeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ASSIGNEE_ROLES,
+    default: 'lead'
+  },
+  // "claim" assignments are released when left unused (see utils/claims)
+  source: {
+    type: String,
+    enum: ['admin', 'claim'],
+    default: 'admin'
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A request by a volunteer or villager to work on the problem
+const claimSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ASSIGNEE_ROLES,
+    default: 'helper'
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'withdrawn', 'released'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: {
+    type: Date
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const progressUpdateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const problemSchema = new mongoose.Schema({
   title: {
@@ -15,10 +160,26 @@ const problemSchema = new mongoose.Schema({
     enum: ['infrastructure', 'health', 'education', 'agriculture', 'water', 'electricity', 'transport', 'other'],
     required: true
   },
+  village: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village',
+    index: true
+  },
   location: {
     type: String,
     trim: true
   },
+  // GeoJSON point ([longitude, latitude]); optional so text-only locations keep working
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -41,6 +202,7 @@ const problemSchema = new mongoose.Schema({
   images: [{
     type: String
   }],
+  attachments: [attachmentSchema],
   upvotes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -49,10 +211,14 @@ const problemSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Solution'
   }],
+  // The lead assignee; kept in sync with `assignees` for older clients
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  assignees: [assigneeSchema],
+  claims: [claimSchema],
+  progressUpdates: [progressUpdateSchema],
   resolvedAt: {
     type: Date
   },
@@ -63,10 +229,140 @@ const problemSchema = new mongoose.Schema({
   isCompletedByVillager: {
     type: Boolean,
     default: false
-  }
+  },
+  statusHistory: [statusChangeSchema],
+  // SLA deadlines, derived from priority and category (see utils/sla)
+  responseDueAt: {
+    type: Date
+  },
+  resolutionDueAt: {
+    type: Date
+  },
+  // First time the problem left "open"
+  respondedAt: {
+    type: Date
+  },
+  // Set by the SLA scheduler when a deadline passes unmet
+  responseBreachedAt: {
+    type: Date
+  },
+  resolutionBreachedAt: {
+    type: Date
+  },
+  escalations: [escalationSchema],
+  // Set when this report was merged into another problem as a duplicate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Problem'
+  },
+  ...moderationFields
 }, {
   timestamps: true
 });
 
+problemSchema.index({ geoLocation: '2dsphere' });
+problemSchema.index(
+  { title: 'text', description: 'text', location: 'text' },
+  { weights: { title: 10, location: 3, description: 1 }, name: 'problem_text' }
+);
+
+problemSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+problemSchema.statics.ASSIGNEE_ROLES = ASSIGNEE_ROLES;
+problemSchema.statics.SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'title'];
+
+// Recompute SLA deadlines from when the problem was reported. A deadline
+// that moves back into the future may be breached (and escalated) again.
+problemSchema.methods.setDeadlines = function() {
+  const reportedAt = this.createdAt || new Date();
+  const now = new Date();
+
+  this.responseDueAt = deadline('response', this, reportedAt);
+  this.resolutionDueAt = deadline('resolution', this, reportedAt);
+  if (this.responseDueAt > now) this.responseBreachedAt = undefined;
+  if (this.resolutionDueAt > now) this.resolutionBreachedAt = undefined;
+  return this;
+};
+
+problemSchema.methods.canTransitionTo = function(status, { merge = false } = {}) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status)
+    || (merge && (MERGE_TRANSITIONS[this.status] || []).includes(status));
+};
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+// Whether `user` works on this problem. Problems assigned before
+// multiple assignees existed only have `assignedTo`.
+problemSchema.methods.isAssignee = function(user) {
+  return this.assignees.some((assignee) => sameId(assignee.user, user)) || sameId(this.assignedTo, user);
+};
+
+// Add `user` as lead or helper. A new lead replaces the previous one.
+problemSchema.methods.assign = function(user, role = 'lead', { by, source = 'admin' } = {}) {
+  // Adopt an assignment made before multiple assignees existed
+  if (!this.assignees.length && this.assignedTo) {
+    this.assignees.push({ user: this.assignedTo, role: 'lead' });
+  }
+
+  this.assignees = this.assignees.filter((assignee) =>
+    !sameId(assignee.user, user) && !(role === 'lead' && assignee.role === 'lead'));
+  this.assignees.push({ user: user._id || user, role, source, assignedBy: by });
+  return this;
+};
+
+problemSchema.methods.unassign = function(user) {
+  if (!this.assignees.length && sameId(this.assignedTo, user)) {
+    this.assignedTo = undefined;
+  }
+  this.assignees = this.assignees.filter((assignee) => !sameId(assignee.user, user));
+  return this;
+};
+
+// Change status and record the change in the history timeline.
+// Callers must check canTransitionTo first.
+problemSchema.methods.transitionTo = function(status, actor, note) {
+  const from = this.status;
+
+  this.status = status;
+  if (from === 'open' && !this.respondedAt) this.respondedAt = new Date();
+  if (status === 'resolved') this.resolvedAt = new Date();
+  if (status === 'open') {
+    // Reopened: the previous completion no longer counts and the
+    // resolution deadline starts over
+    this.resolvedAt = undefined;
+    this.isCompletedByVillager = false;
+    this.resolutionDueAt = deadline('resolution', this, new Date());
+    this.resolutionBreachedAt = undefined;
+  }
+
+  this.statusHistory.push({ from, to: status, actor, note });
+  this.$locals.statusTransition = true;
+  return this;
+};
+
+problemSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('priority') || this.isModified('category')) {
+    this.setDeadlines();
+  }
+
+  if (this.isModified('assignees')) {
+    const lead = this.assignees.find((assignee) => assignee.role === 'lead') || this.assignees[0];
+    this.assignedTo = lead ? lead.user : undefined;
+  }
+
+  if (this.isNew) {
+    if (!this.statusHistory.length) {
+      this.statusHistory.push({ from: null, to: this.status, actor: this.reportedBy, note: 'Reported' });
+    }
+    return next();
+  }
+
+  // Status may only change through transitionTo so every change is recorded
+  if (this.isModified('status') && !this.$locals.statusTransition) {
+    return next(new Error('Problem status must be changed through transitionTo'));
+  }
+  this.$locals.statusTransition = false;
+  next();
+});
+
 module.exports = mongoose.model('Problem', problemSchema);
 
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Server-side session backing a refresh token. Only a hash of the token is
+// stored; rotating a token revokes it and points at its replacement.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // User.tokenVersion at issue time; bumping the user's version kills the session
+  tokenVersion: {
+    type: Number,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop expired sessions
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const attachmentSchema = require('./schemas/attachment');
+const commentSchema = require('./schemas/comment');
+const { moderationFields } = require('./schemas/moderation');
 
 const solutionSchema = new mongoose.Schema({
   problem: {
@@ -6,6 +9,11 @@ const solutionSchema = new mongoose.Schema({
     ref: 'Problem',
     required: true
   },
+  village: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village',
+    index: true
+  },
   title: {
     type: String,
     required: true,
@@ -29,17 +37,9 @@ const solutionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    text: String,
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  comments: [commentSchema],
+  // Photos and documents proving the solution was implemented
+  evidence: [attachmentSchema],
   estimatedCost: {
     type: Number
   },
@@ -48,10 +48,26 @@ const solutionSchema = new mongoose.Schema({
   },
   implementedAt: {
     type: Date
-  }
+  },
+  // Maintained by utils/ranking when community support passes the threshold
+  isShortlisted: {
+    type: Boolean,
+    default: false
+  },
+  shortlistedAt: {
+    type: Date
+  },
+  ...moderationFields
 }, {
   timestamps: true
 });
 
+solutionSchema.statics.SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'title'];
+
+solutionSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 10, description: 1 }, name: 'solution_text' }
+);
+
 module.exports = mongoose.model('Solution', solutionSchema);
 
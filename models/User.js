@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/policy');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -7,39 +8,99 @@ const userSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Optional: villagers may sign up with only a phone number
   email: {
     type: String,
-    required: true,
     unique: true,
+    sparse: true,
     lowercase: true,
     trim: true
   },
+  // Phone-only accounts log in with one-time codes and have no password
   password: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.phoneVerified;
+    },
     minlength: 6
   },
+  // Unset for accounts created before email verification existed
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   role: {
     type: String,
-    enum: ['villager', 'volunteer', 'admin'],
+    enum: Object.keys(ROLES),
     default: 'villager'
   },
   village: {
-    type: String,
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Village',
+    index: true
   },
+  // E.164 format, see utils/phone.js
   phone: {
     type: String,
+    unique: true,
+    sparse: true,
     trim: true
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
   avatar: {
     type: String,
     default: ''
-  }
+  },
+  // Bumped to invalidate every issued access and refresh token
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Notification type -> enabled; types that are not listed are enabled
+  notificationPreferences: {
+    type: Map,
+    of: Boolean,
+    default: {}
+  },
+  // Issued by moderators from the moderation queue
+  warnings: [{
+    message: {
+      type: String,
+      required: true
+    },
+    case: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ModerationCase'
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
+// Only fields every user has: phone-only accounts have no email
+userSchema.statics.SORTABLE_FIELDS = ['createdAt', 'name'];
+
+// A new role or password signs the user out everywhere
+userSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('role') || this.isModified('password'))) {
+    this.tokenVersion += 1;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -49,6 +110,7 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
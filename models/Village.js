@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const villageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  district: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  pincode: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+villageSchema.statics.SORTABLE_FIELDS = ['name', 'createdAt'];
+
+// Find a village by its id or (case-insensitive) name
+villageSchema.statics.resolve = async function(value) {
+  if (!value) return null;
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    const village = await this.findById(value);
+    if (village) return village;
+  }
+  const escaped = String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return this.findOne({ name: new RegExp(`^${escaped}$`, 'i') });
+};
+
+module.exports = mongoose.model('Village', villageSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One ballot per user and poll. Ballots in anonymous polls keep the voter
+// only to refuse a second vote; they are never shown.
+const voteSchema = new mongoose.Schema({
+  poll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Ids of the chosen poll options
+  choices: [{
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+voteSchema.index({ poll: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('Vote', voteSchema);
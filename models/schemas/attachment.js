@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Uploaded file stored through utils/storage
+const attachmentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String
+  },
+  thumbnailUrl: {
+    type: String
+  },
+  originalName: {
+    type: String,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = attachmentSchema;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { moderationFields } = require('./moderation');
+
+// Comment embedded in a forum post or solution. Replies point at the
+// comment they answer; deleted comments stay behind as tombstones so the
+// replies below them keep their place in the thread.
+const commentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  text: String,
+  // Comment of the same document this one replies to
+  parent: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  editedAt: {
+    type: Date
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ...moderationFields
+});
+
+// Replace the comment with a tombstone; the text is gone for good
+commentSchema.methods.tombstone = function(by) {
+  this.text = undefined;
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.deletedBy = by;
+};
+
+module.exports = commentSchema;
@@ -0,0 +1,19 @@
+// Visibility fields shared by content that can be flagged. Hidden content
+// stays visible to its author and moderators only; see utils/moderation.
+const HIDDEN_REASONS = ['flags', 'moderator', 'word-filter'];
+
+const moderationFields = {
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: {
+    type: Date
+  },
+  hiddenReason: {
+    type: String,
+    enum: HIDDEN_REASONS
+  }
+};
+
+module.exports = { HIDDEN_REASONS, moderationFields };
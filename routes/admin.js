@@ -1,19 +1,58 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Problem = require('../models/Problem');
 const Solution = require('../models/Solution');
 const ForumPost = require('../models/ForumPost');
 const User = require('../models/User');
-const { auth, adminAuth } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { notify } = require('../utils/notifications');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { publishProblem } = require('../utils/realtime');
+const { assignmentError } = require('../utils/claims');
+const { problemFilter, solutionFilter, userFilter } = require('../utils/adminFilters');
+const { audit, snapshot } = require('../utils/audit');
+const { FORMATS, sendSpreadsheet } = require('../utils/spreadsheet');
+const { auth, adminAuth, permit } = require('../middleware/auth');
+const { ROLES, PRIVILEGED_ROLES, can, hasPermission, scopeFilter } = require('../utils/policy');
 
 // All routes require admin authentication
 router.use(auth, adminAuth);
 
+router.use('/analytics', require('./analytics'));
+router.use('/export', require('./export'));
+router.use('/import', require('./import'));
+router.use('/moderation', require('./moderation'));
+
+// $group accumulators counting met and missed SLA deadlines as
+// `<name>Met` / `<name>Missed`. A deadline is missed when it was met late,
+// or when it has passed and the problem still has not got there.
+const slaFigures = (name, dueField, doneField, now) => ({
+  [`${name}Met`]: { $sum: { $cond: [{ $and: [{ $gt: [`$${doneField}`, null] }, { $lte: [`$${doneField}`, `$${dueField}`] }] }, 1, 0] } },
+  [`${name}Missed`]: {
+    $sum: {
+      $cond: [{
+        $or: [
+          { $and: [{ $gt: [`$${doneField}`, null] }, { $gt: [`$${doneField}`, `$${dueField}`] }] },
+          { $and: [{ $lte: [`$${doneField}`, null] }, { $lt: [`$${dueField}`, now] }] }
+        ]
+      }, 1, 0]
+    }
+  }
+});
+
+// Percentage of deadlines met, or null when none have come due yet
+const complianceRate = ({ met, missed }) => (met + missed ? Math.round((met / (met + missed)) * 1000) / 10 : null);
+
 // @route   GET /api/admin/stats
 // @desc    Get dashboard statistics
 // @access  Private/Admin
 router.get('/stats', async (req, res) => {
   try {
+    // Village admins only see figures for their own village
+    const scope = scopeFilter(req.user);
+    const now = new Date();
+
     const [
       totalUsers,
       totalProblems,
@@ -24,24 +63,52 @@ router.get('/stats', async (req, res) => {
       problemsByStatus,
       problemsByCategory,
       recentProblems,
-      recentSolutions
+      recentSolutions,
+      slaTotals
     ] = await Promise.all([
-      User.countDocuments(),
-      Problem.countDocuments(),
-      Solution.countDocuments(),
-      ForumPost.countDocuments(),
-      Problem.countDocuments({ status: 'resolved' }),
-      Problem.countDocuments({ status: { $ne: 'resolved' } }),
+      User.countDocuments(scope),
+      Problem.countDocuments(scope),
+      Solution.countDocuments(scope),
+      ForumPost.countDocuments(scope),
+      Problem.countDocuments({ ...scope, status: 'resolved' }),
+      Problem.countDocuments({ ...scope, status: { $ne: 'resolved' } }),
       Problem.aggregate([
+        { $match: scope },
         { $group: { _id: '$status', count: { $sum: 1 } } }
       ]),
       Problem.aggregate([
+        { $match: scope },
         { $group: { _id: '$category', count: { $sum: 1 } } }
       ]),
-      Problem.find().sort('-createdAt').limit(5).populate('reportedBy', 'name email'),
-      Solution.find().sort('-createdAt').limit(5).populate('proposedBy', 'name email')
+      Problem.find(scope).sort('-createdAt').limit(5).populate('reportedBy', 'name email'),
+      Solution.find(scope).sort('-createdAt').limit(5).populate('proposedBy', 'name email'),
+      Problem.aggregate([
+        { $match: { ...scope, mergedInto: null, resolutionDueAt: { $exists: true } } },
+        {
+          $group: {
+            _id: null,
+            ...slaFigures('response', 'responseDueAt', 'respondedAt', now),
+            ...slaFigures('resolution', 'resolutionDueAt', 'resolvedAt', now),
+            overdue: {
+              $sum: {
+                $cond: [{
+                  $and: [
+                    { $in: ['$status', ['open', 'in-progress']] },
+                    { $lt: ['$resolutionDueAt', now] }
+                  ]
+                }, 1, 0]
+              }
+            },
+            escalated: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$escalations', []] } }, 0] }, 1, 0] } }
+          }
+        }
+      ])
     ]);
 
+    const totals = slaTotals[0] || {};
+    const response = { met: totals.responseMet || 0, missed: totals.responseMissed || 0 };
+    const resolution = { met: totals.resolutionMet || 0, missed: totals.resolutionMissed || 0 };
+
     res.json({
       totalUsers,
       totalProblems,
@@ -52,7 +119,13 @@ router.get('/stats', async (req, res) => {
       problemsByStatus,
       problemsByCategory,
       recentProblems,
-      recentSolutions
+      recentSolutions,
+      sla: {
+        response: { ...response, rate: complianceRate(response) },
+        resolution: { ...resolution, rate: complianceRate(resolution) },
+        overdue: totals.overdue || 0,
+        escalated: totals.escalated || 0
+      }
     });
   } catch (error) {
     console.error(error);
@@ -65,8 +138,16 @@ router.get('/stats', async (req, res) => {
 // @access  Private/Admin
 router.get('/users', async (req, res) => {
   try {
-    const users = await User.find().select('-password').sort('-createdAt');
-    res.json(users);
+    const { page, error } = parsePagination(req.query, { sortable: User.SORTABLE_FIELDS });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await paginate(User, userFilter(req), page, (query) => query
+      .select('-password')
+      .populate('village', 'name'));
+    res.json(result);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -76,19 +157,45 @@ router.get('/users', async (req, res) => {
 // @route   PUT /api/admin/users/:id/role
 // @desc    Update user role
 // @access  Private/Admin
-router.put('/users/:id/role', async (req, res) => {
+router.put('/users/:id/role', permit('user:manage'), async (req, res) => {
   try {
     const { role } = req.body;
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { role },
-      { new: true }
-    ).select('-password');
+
+    if (!ROLES[role]) {
+      return res.status(400).json({ message: `Role must be one of ${Object.keys(ROLES).join(', ')}` });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (!can(req.user, 'user:manage', user)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    // Granting or revoking admin roles needs its own permission
+    if (!hasPermission(req.user, 'user:manage-admins') && (PRIVILEGED_ROLES.includes(role) || PRIVILEGED_ROLES.includes(user.role))) {
+      return res.status(403).json({ message: 'Only global admins can manage admin roles' });
+    }
+
+    if (ROLES[role].villageScoped && !user.village) {
+      return res.status(400).json({ message: 'User must belong to a village to become a village admin' });
+    }
+
+    // Saving a new role bumps tokenVersion, signing the user out everywhere
+    const before = snapshot(user, ['role']);
+    user.role = role;
+    await user.save();
+    await audit(req, {
+      action: 'user.role',
+      target: { kind: 'User', id: user._id, label: user.name },
+      village: user.village,
+      before,
+      after: snapshot(user, ['role'])
+    });
+
     res.json(user);
   } catch (error) {
     console.error(error);
@@ -99,7 +206,7 @@ router.put('/users/:id/role', async (req, res) => {
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete a user
 // @access  Private/Admin
-router.delete('/users/:id', async (req, res) => {
+router.delete('/users/:id', permit('user:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -112,7 +219,22 @@ router.delete('/users/:id', async (req, res) => {
       return res.status(400).json({ message: 'Cannot delete your own account' });
     }
 
+    if (!can(req.user, 'user:manage', user)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    if (!hasPermission(req.user, 'user:manage-admins') && PRIVILEGED_ROLES.includes(user.role)) {
+      return res.status(403).json({ message: 'Only global admins can delete admins' });
+    }
+
     await User.findByIdAndDelete(req.params.id);
+    await audit(req, {
+      action: 'user.delete',
+      target: { kind: 'User', id: user._id, label: user.name },
+      village: user.village,
+      before: snapshot(user, ['name', 'email', 'phone', 'role', 'village']),
+      after: null
+    });
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error(error);
@@ -125,20 +247,19 @@ router.delete('/users/:id', async (req, res) => {
 // @access  Private/Admin
 router.get('/problems', async (req, res) => {
   try {
-    const { status, category, priority, isVerified } = req.query;
-    const filter = {};
-    
-    if (status) filter.status = status;
-    if (category) filter.category = category;
-    if (priority) filter.priority = priority;
-    if (isVerified !== undefined) filter.isVerified = isVerified === 'true';
+    const filter = problemFilter(req);
+    const { page, error } = parsePagination(req.query, { sortable: Problem.SORTABLE_FIELDS });
 
-    const problems = await Problem.find(filter)
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await paginate(Problem, filter, page, (query) => query
+      .select('-statusHistory')
       .populate('reportedBy', 'name email village')
-      .populate('assignedTo', 'name email')
-      .sort('-createdAt');
+      .populate('assignedTo', 'name email'));
 
-    res.json(problems);
+    res.json(result);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -150,46 +271,244 @@ router.get('/problems', async (req, res) => {
 // @access  Private/Admin
 router.get('/solutions', async (req, res) => {
   try {
-    const { status } = req.query;
-    const filter = {};
-    
-    if (status) filter.status = status;
+    const filter = solutionFilter(req);
+    const { page, error } = parsePagination(req.query, { sortable: Solution.SORTABLE_FIELDS });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-    const solutions = await Solution.find(filter)
+    const result = await paginate(Solution, filter, page, (query) => query
       .populate('problem', 'title description')
-      .populate('proposedBy', 'name email village')
-      .sort('-createdAt');
+      .populate('proposedBy', 'name email village'));
+
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/overdue
+// @desc    Get open problems past their SLA deadlines
+// @access  Private/Admin
+router.get('/overdue', async (req, res) => {
+  try {
+    const { type, category, priority } = req.query;
+    const now = new Date();
+    const filter = { ...scopeFilter(req.user), mergedInto: null };
+
+    // ?type=response: still waiting for a first response
+    // ?type=resolution: past the resolution deadline
+    // default: either of the two
+    const responseOverdue = { status: 'open', responseDueAt: { $lt: now } };
+    const resolutionOverdue = { status: { $in: ['open', 'in-progress'] }, resolutionDueAt: { $lt: now } };
+
+    if (type === 'response') {
+      Object.assign(filter, responseOverdue);
+    } else if (type === 'resolution') {
+      Object.assign(filter, resolutionOverdue);
+    } else if (type) {
+      return res.status(400).json({ message: 'type must be response or resolution' });
+    } else {
+      filter.$or = [responseOverdue, resolutionOverdue];
+    }
+
+    if (category) filter.category = category;
+    if (priority) filter.priority = priority;
+
+    const { page, error } = parsePagination(req.query, {
+      sortable: ['resolutionDueAt', 'responseDueAt', 'createdAt'],
+      defaultSort: 'resolutionDueAt'
+    });
 
-    res.json(solutions);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await paginate(Problem, filter, page, (query) => query
+      .select('-statusHistory')
+      .populate('reportedBy', 'name email village')
+      .populate('assignedTo', 'name email')
+      .populate('village', 'name'));
+
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/claims
+// @desc    Get problems with claims waiting for a decision
+// @access  Private/Admin
+router.get('/claims', permit('problem:assign'), async (req, res) => {
+  try {
+    const filter = { ...scopeFilter(req.user), 'claims.status': 'pending' };
+    const { page, error } = parsePagination(req.query, { sortable: Problem.SORTABLE_FIELDS, defaultSort: 'updatedAt' });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await paginate(Problem, filter, page, (query) => query
+      .select('title status priority category village assignees claims updatedAt createdAt')
+      .populate('assignees.user', 'name email role')
+      .populate('claims.user', 'name email role'));
+
+    // Only the pending claims are of interest here
+    result.items = result.items.map((problem) => ({
+      ...problem.toJSON(),
+      claims: problem.claims.filter((claim) => claim.status === 'pending')
+    }));
+
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const AUDIT_COLUMNS = [
+  { header: 'Time', value: (entry) => entry.createdAt },
+  { header: 'Actor', value: (entry) => (entry.actor && entry.actor.name) || String(entry.actor || '') },
+  { header: 'Actor role', value: (entry) => entry.actorRole },
+  { header: 'Action', value: (entry) => entry.action },
+  { header: 'Target type', value: (entry) => entry.target.kind },
+  { header: 'Target ID', value: (entry) => String(entry.target.id) },
+  { header: 'Target', value: (entry) => entry.target.label, width: 40 },
+  { header: 'Before', value: (entry) => JSON.stringify(entry.changes && entry.changes.before), width: 60 },
+  { header: 'After', value: (entry) => JSON.stringify(entry.changes && entry.changes.after), width: 60 },
+  { header: 'IP', value: (entry) => entry.ip }
+];
+
+// @route   GET /api/admin/audit
+// @desc    Get the admin audit log (?format=csv|xlsx downloads it)
+// @access  Private/Admin
+router.get('/audit', permit('audit:view'), async (req, res) => {
+  try {
+    const { actor, action, targetKind, target, from, to, format } = req.query;
+    const filter = scopeFilter(req.user);
+
+    if (actor) filter.actor = actor;
+    if (action && !/^[a-z.-]+$/.test(action)) {
+      return res.status(400).json({ message: 'Invalid action' });
+    }
+    // A trailing dot matches a whole family, e.g. "problem." or "solution.pledge."
+    if (action) filter.action = action.endsWith('.') ? new RegExp(`^${action.replace(/\./g, '\\.')}`) : action;
+    if (targetKind) filter['target.kind'] = targetKind;
+    if (target) filter['target.id'] = target;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some((date) => isNaN(date))) {
+        return res.status(400).json({ message: 'from and to must be dates' });
+      }
+    }
+
+    for (const id of [actor, target]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: 'Invalid id' });
+      }
+    }
+
+    if (format) {
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json({ message: `format must be one of ${FORMATS.join(', ')}` });
+      }
+
+      return await sendSpreadsheet(res, {
+        format,
+        filename: `audit-${new Date().toISOString().slice(0, 10)}`,
+        sheet: 'audit',
+        columns: AUDIT_COLUMNS,
+        rows: AuditLog.find(filter).sort({ createdAt: -1 }).populate('actor', 'name').cursor()
+      });
+    }
+
+    const { page, error } = parsePagination(req.query, { sortable: AuditLog.SORTABLE_FIELDS });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await paginate(AuditLog, filter, page, (query) => query
+      .populate('actor', 'name email role'));
+
+    res.json(result);
   } catch (error) {
     console.error(error);
+    if (res.headersSent) return res.destroy(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   PUT /api/admin/problems/:id/assign
-// @desc    Assign problem to villager
+// @desc    Assign a problem to a villager or volunteer as lead or helper
 // @access  Private/Admin
-router.put('/problems/:id/assign', async (req, res) => {
+router.put('/problems/:id/assign', permit('problem:assign'), async (req, res) => {
   try {
-    const { assignedTo } = req.body;
+    const { assignedTo, role = 'lead' } = req.body;
+
+    if (!Problem.ASSIGNEE_ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Role must be lead or helper' });
+    }
+
     const problem = await Problem.findById(req.params.id);
     
     if (!problem) {
       return res.status(404).json({ message: 'Problem not found' });
     }
 
-    // Verify assigned user is a villager
+    if (!can(req.user, 'problem:assign', problem)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
     const assignedUser = await User.findById(assignedTo);
-    if (!assignedUser || assignedUser.role !== 'villager') {
-      return res.status(400).json({ message: 'Can only assign to villagers' });
+    if (!assignedUser) {
+      return res.status(400).json({ message: 'User not found' });
     }
 
-    problem.assignedTo = assignedTo;
-    problem.status = 'in-progress';
+    const ineligible = assignmentError(assignedUser, problem);
+    if (ineligible) {
+      return res.status(400).json({ message: ineligible });
+    }
+
+    const before = snapshot(problem, ['status', 'assignedTo', 'assignees']);
+
+    // Reassigning keeps an in-progress problem where it is
+    if (problem.status !== 'in-progress') {
+      if (!problem.canTransitionTo('in-progress')) {
+        return res.status(400).json({ message: `Cannot assign a problem that is ${problem.status}` });
+      }
+      problem.transitionTo('in-progress', req.user._id, `Assigned to ${assignedUser.name}`);
+    }
+
+    problem.assign(assignedUser._id, role, { by: req.user._id });
     await problem.save();
+    await audit(req, {
+      action: 'problem.assign',
+      target: { kind: 'Problem', id: problem._id, label: problem.title },
+      village: problem.village,
+      before,
+      after: snapshot(problem, ['status', 'assignedTo', 'assignees'])
+    });
     await problem.populate('reportedBy', 'name email village');
     await problem.populate('assignedTo', 'name email village');
+    await problem.populate('assignees.user', 'name email role');
+
+    publishProblem('problem.assigned', problem);
+
+    await notify({
+      recipient: assignedUser._id,
+      actor: req.user._id,
+      type: 'problem-assigned',
+      message: role === 'lead'
+        ? `You have been assigned the problem "${problem.title}"`
+        : `You have been added as a helper on "${problem.title}"`,
+      target: { kind: 'Problem', item: problem._id }
+    });
 
     res.json(problem);
   } catch (error) {
@@ -0,0 +1,394 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Problem = require('../models/Problem');
+const Solution = require('../models/Solution');
+const Village = require('../models/Village');
+const { hasPermission, scopeFilter } = require('../utils/policy');
+
+// Mounted under /api/admin, which already requires admin authentication.
+// Every route takes ?from= and ?to= (dates; default: the last 12 months)
+// and, for global admins, ?village=<id>. Village admins always get figures
+// for their own village.
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 365;
+const INTERVALS = ['week', 'month'];
+const timezone = process.env.ANALYTICS_TIMEZONE || 'Asia/Kolkata';
+
+const toHours = (ms) => (typeof ms === 'number' ? Math.round((ms / HOUR) * 10) / 10 : null);
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+// Median of an ascending array expression, or null when it is empty.
+// $median needs MongoDB 7.0, so pipelines collect sorted values with $push
+// and pick the middle here instead.
+const medianOf = (values) => {
+  const at = (index) => ({ $arrayElemAt: [values, { $toInt: index }] });
+  const middle = { $divide: [{ $subtract: [{ $size: values }, 1] }, 2] };
+
+  return {
+    $cond: [
+      { $eq: [{ $size: values }, 0] },
+      null,
+      { $avg: [at({ $floor: middle }), at({ $ceil: middle })] }
+    ]
+  };
+};
+
+// Parse the date range and village scope shared by all analytics routes.
+// Returns `{ from, to, scope }`, or `{ error }` when a parameter is invalid.
+const parseFilters = (req) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * HOUR);
+
+  if (isNaN(from) || isNaN(to)) return { error: 'from and to must be dates' };
+  if (from > to) return { error: 'from must be before to' };
+
+  // Aggregation pipelines are not cast by mongoose
+  const scope = { ...scopeFilter(req.user) };
+  if (scope.village) scope.village = new mongoose.Types.ObjectId(scope.village);
+
+  if (req.query.village && hasPermission(req.user, 'village:any')) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.village)) return { error: 'Invalid village' };
+    scope.village = new mongoose.Types.ObjectId(req.query.village);
+  }
+
+  return { from, to, scope };
+};
+
+const inRange = (field, from, to) => ({ [field]: { $gte: from, $lte: to } });
+
+// Every period start between `from` and `to`, so empty periods show as 0
+const periodsBetween = (from, to, interval) => {
+  const periods = [];
+  const cursor = new Date(from);
+  cursor.setUTCHours(0, 0, 0, 0);
+  if (interval === 'month') cursor.setUTCDate(1);
+  // Weeks start on Monday, like $dateTrunc with startOfWeek: 'monday'
+  if (interval === 'week') cursor.setUTCDate(cursor.getUTCDate() - ((cursor.getUTCDay() + 6) % 7));
+
+  while (cursor <= to) {
+    periods.push(cursor.toISOString().slice(0, 10));
+    if (interval === 'month') cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    else cursor.setUTCDate(cursor.getUTCDate() + 7);
+  }
+  return periods;
+};
+
+const periodOf = (field, interval) => ({
+  $dateToString: {
+    format: '%Y-%m-%d',
+    date: { $dateTrunc: { date: `$${field}`, unit: interval, startOfWeek: 'monday', timezone } },
+    timezone
+  }
+});
+
+// @route   GET /api/admin/analytics/trends
+// @desc    Problems opened and resolved per week or month
+// @access  Private/Admin
+router.get('/trends', async (req, res) => {
+  try {
+    const { from, to, scope, error } = parseFilters(req);
+    const interval = req.query.interval || 'week';
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: 'interval must be week or month' });
+    }
+
+    const countPer = (field) => Problem.aggregate([
+      { $match: { ...scope, ...inRange(field, from, to) } },
+      { $group: { _id: periodOf(field, interval), count: { $sum: 1 } } }
+    ]);
+
+    const [opened, resolved] = await Promise.all([countPer('createdAt'), countPer('resolvedAt')]);
+    const openedBy = new Map(opened.map(({ _id, count }) => [_id, count]));
+    const resolvedBy = new Map(resolved.map(({ _id, count }) => [_id, count]));
+
+    const periods = new Set([...periodsBetween(from, to, interval), ...openedBy.keys(), ...resolvedBy.keys()]);
+
+    res.json({
+      interval,
+      from,
+      to,
+      series: [...periods].sort().map((period) => ({
+        period,
+        opened: openedBy.get(period) || 0,
+        resolved: resolvedBy.get(period) || 0
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/analytics/resolution-times
+// @desc    Median time to resolution by category and by priority
+// @access  Private/Admin
+router.get('/resolution-times', async (req, res) => {
+  try {
+    const { from, to, scope, error } = parseFilters(req);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // `field` null groups everything together. Input is sorted by
+    // duration, so the pushed durations are too.
+    const byField = (field) => [
+      {
+        $group: {
+          _id: field && `$${field}`,
+          count: { $sum: 1 },
+          durations: { $push: '$duration' },
+          average: { $avg: '$duration' }
+        }
+      },
+      { $project: { count: 1, average: 1, median: medianOf('$durations') } },
+      { $sort: { _id: 1 } }
+    ];
+
+    const [result] = await Problem.aggregate([
+      { $match: { ...scope, ...inRange('resolvedAt', from, to) } },
+      { $project: { category: 1, priority: 1, duration: { $subtract: ['$resolvedAt', '$createdAt'] } } },
+      { $sort: { duration: 1 } },
+      {
+        $facet: {
+          overall: byField(null),
+          byCategory: byField('category'),
+          byPriority: byField('priority')
+        }
+      }
+    ]);
+
+    const format = (key) => ({ _id, count, median, average }) => ({
+      [key]: _id,
+      count,
+      medianHours: toHours(median),
+      averageHours: toHours(average)
+    });
+    const overall = result.overall[0];
+
+    res.json({
+      from,
+      to,
+      resolved: overall ? overall.count : 0,
+      medianHours: overall ? toHours(overall.median) : null,
+      byCategory: result.byCategory.map(format('category')),
+      byPriority: result.byPriority.map(format('priority'))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/analytics/solutions
+// @desc    Solution approval rates overall and per week or month
+// @access  Private/Admin
+router.get('/solutions', async (req, res) => {
+  try {
+    const { from, to, scope, error } = parseFilters(req);
+    const interval = req.query.interval || 'month';
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: 'interval must be week or month' });
+    }
+
+    // Approved and implemented solutions both count as approved
+    const counters = {
+      proposed: { $sum: 1 },
+      approved: { $sum: { $cond: [{ $in: ['$status', ['approved', 'implemented']] }, 1, 0] } },
+      rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+      implemented: { $sum: { $cond: [{ $eq: ['$status', 'implemented'] }, 1, 0] } }
+    };
+
+    const [result] = await Solution.aggregate([
+      { $match: { ...scope, ...inRange('createdAt', from, to) } },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, ...counters } }],
+          series: [
+            { $group: { _id: periodOf('createdAt', interval), ...counters } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    // Rates only count decided solutions; pending ones are still open
+    const withRate = ({ _id, ...counts }) => ({
+      ...counts,
+      pending: counts.proposed - counts.approved - counts.rejected,
+      approvalRate: rate(counts.approved, counts.approved + counts.rejected)
+    });
+
+    res.json({
+      interval,
+      from,
+      to,
+      overall: withRate(result.overall[0] || { proposed: 0, approved: 0, rejected: 0, implemented: 0 }),
+      series: result.series.map((entry) => ({ period: entry._id, ...withRate(entry) }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/analytics/leaderboard
+// @desc    Most active reporters and volunteers
+// @access  Private/Admin
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const { from, to, scope, error } = parseFilters(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const withUser = [
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: '$user' },
+      { $project: { _id: 0, count: 1, 'user._id': 1, 'user.name': 1, 'user.role': 1, 'user.village': 1 } }
+    ];
+
+    const [reporters, volunteers] = await Promise.all([
+      Problem.aggregate([
+        { $match: { ...scope, ...inRange('createdAt', from, to) } },
+        { $group: { _id: '$reportedBy', count: { $sum: 1 } } },
+        ...withUser
+      ]),
+      // Everyone who worked on a problem resolved in the range; problems
+      // assigned before multiple assignees existed only have assignedTo
+      Problem.aggregate([
+        { $match: { ...scope, ...inRange('resolvedAt', from, to) } },
+        {
+          $project: {
+            workers: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$assignees', []] } }, 0] },
+                '$assignees.user',
+                { $cond: [{ $ifNull: ['$assignedTo', false] }, ['$assignedTo'], []] }
+              ]
+            }
+          }
+        },
+        { $unwind: '$workers' },
+        { $group: { _id: '$workers', count: { $sum: 1 } } },
+        ...withUser
+      ])
+    ]);
+
+    res.json({
+      from,
+      to,
+      reporters: reporters.map(({ user, count }) => ({ user, problemsReported: count })),
+      volunteers: volunteers.map(({ user, count }) => ({ user, problemsResolved: count }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/analytics/villages
+// @desc    Problem and solution figures per village
+// @access  Private/Admin
+router.get('/villages', async (req, res) => {
+  try {
+    const { from, to, scope, error } = parseFilters(req);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const [problems, solutions] = await Promise.all([
+      Problem.aggregate([
+        { $match: { ...scope, $or: [inRange('createdAt', from, to), inRange('resolvedAt', from, to)] } },
+        {
+          $addFields: {
+            resolution: {
+              $cond: [
+                { $and: [{ $gte: ['$resolvedAt', from] }, { $lte: ['$resolvedAt', to] }] },
+                { $subtract: ['$resolvedAt', '$createdAt'] },
+                null
+              ]
+            }
+          }
+        },
+        // Sorted so each village's pushed resolution times are in order
+        { $sort: { resolution: 1 } },
+        {
+          $group: {
+            _id: '$village',
+            opened: { $sum: { $cond: [{ $and: [{ $gte: ['$createdAt', from] }, { $lte: ['$createdAt', to] }] }, 1, 0] } },
+            resolved: { $sum: { $cond: [{ $ne: ['$resolution', null] }, 1, 0] } },
+            resolutions: { $push: '$resolution' }
+          }
+        },
+        {
+          $project: {
+            opened: 1,
+            resolved: 1,
+            medianResolution: medianOf({ $filter: { input: '$resolutions', cond: { $ne: ['$$this', null] } } })
+          }
+        }
+      ]),
+      Solution.aggregate([
+        { $match: { ...scope, ...inRange('createdAt', from, to) } },
+        {
+          $group: {
+            _id: '$village',
+            proposed: { $sum: 1 },
+            approved: { $sum: { $cond: [{ $in: ['$status', ['approved', 'implemented']] }, 1, 0] } },
+            rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const rows = new Map();
+    const rowFor = (id) => {
+      const key = String(id);
+      if (!rows.has(key)) {
+        rows.set(key, { village: id, opened: 0, resolved: 0, medianResolutionHours: null, solutionsProposed: 0, approvalRate: null });
+      }
+      return rows.get(key);
+    };
+
+    problems.forEach(({ _id, opened, resolved, medianResolution }) => {
+      Object.assign(rowFor(_id), { opened, resolved, medianResolutionHours: toHours(medianResolution) });
+    });
+    solutions.forEach(({ _id, proposed, approved, rejected }) => {
+      Object.assign(rowFor(_id), { solutionsProposed: proposed, approvalRate: rate(approved, approved + rejected) });
+    });
+
+    const villages = await Village
+      .find({ _id: { $in: [...rows.values()].map((row) => row.village).filter(Boolean) } })
+      .select('name district');
+    const names = new Map(villages.map((village) => [village._id.toString(), village]));
+
+    res.json({
+      from,
+      to,
+      villages: [...rows.values()]
+        .map((row) => ({ ...row, village: row.village ? names.get(row.village.toString()) || { _id: row.village } : null }))
+        .sort((a, b) => b.opened - a.opened)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
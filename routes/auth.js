@@ -1,24 +1,49 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Village = require('../models/Village');
 const { auth } = require('../middleware/auth');
+const { SELF_ASSIGNABLE_ROLES } = require('../utils/policy');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  verifyEmailToken
+} = require('../utils/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const { normalizePhone } = require('../utils/phone');
+const { sendOtp, verifyOtp } = require('../utils/otp');
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'fallback_secret', {
-    expiresIn: '30d'
-  });
+// Village may be given by id or by name. Resolves to the village, null when
+// none was given, or false when it does not exist.
+const resolveVillage = async (village) => {
+  if (!village) return null;
+  const villageDoc = await Village.resolve(village);
+  return villageDoc && villageDoc.isActive ? villageDoc : false;
 };
 
+// User fields returned alongside tokens
+const userSummary = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  village: user.village,
+  emailVerified: user.emailVerified !== false
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
 router.post('/register', [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  // Privileged roles are only ever granted by an admin
+  body('role').optional().isIn(SELF_ASSIGNABLE_ROLES).withMessage(`Role must be one of ${SELF_ASSIGNABLE_ROLES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -34,29 +59,39 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
+    // Phone numbers given here stay unverified until confirmed by code
+    const normalizedPhone = normalizePhone(phone);
+    if (phone && !normalizedPhone) {
+      return res.status(400).json({ message: 'Please provide a valid phone number' });
+    }
+    if (normalizedPhone && await User.exists({ phone: normalizedPhone })) {
+      return res.status(400).json({ message: 'User already exists with this phone number' });
+    }
+
+    const villageDoc = await resolveVillage(village);
+    if (villageDoc === false) {
+      return res.status(400).json({ message: 'Village not found' });
+    }
+
     // Create new user
     const user = new User({
       name,
       email,
       password,
-      village: village || '',
-      phone: phone || '',
-      role: role || 'villager'
+      village: villageDoc ? villageDoc._id : undefined,
+      phone: normalizedPhone || undefined,
+      role: role || 'villager',
+      emailVerified: false
     });
 
     await user.save();
+    await sendVerificationEmail(user);
 
-    const token = generateToken(user._id);
+    const tokens = await issueTokens(user, req);
 
     res.status(201).json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        village: user.village
-      }
+      ...tokens,
+      user: userSummary(user)
     });
   } catch (error) {
     console.error(error);
@@ -91,17 +126,287 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    const token = generateToken(user._id);
+    const tokens = await issueTokens(user, req);
+
+    res.json({
+      ...tokens,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/otp/request
+// @desc    Send a one-time code by SMS for phone login, registration or verification
+// @access  Public
+router.post('/otp/request', [
+  body('phone').notEmpty().withMessage('Phone number is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ message: 'Please provide a valid phone number' });
+    }
+
+    const { error, retryAfter } = await sendOtp(phone, req.ip);
+    if (error) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: error, retryAfter });
+    }
+
+    res.json({ message: 'Code sent', phone });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/otp/login
+// @desc    Login with a verified phone number and one-time code
+// @access  Public
+router.post('/otp/login', [
+  body('phone').notEmpty().withMessage('Phone number is required'),
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ message: 'Please provide a valid phone number' });
+    }
+
+    // Check the code first so only the phone's owner learns whether it is
+    // registered
+    const { error } = await verifyOtp(phone, req.body.code);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const user = await User.findOne({ phone, phoneVerified: true });
+    if (!user) {
+      return res.status(400).json({ message: 'No account is registered with this phone number' });
+    }
+
+    const tokens = await issueTokens(user, req);
+
+    res.json({
+      ...tokens,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/otp/register
+// @desc    Register a new user with a phone number and one-time code
+// @access  Public
+router.post('/otp/register', [
+  body('phone').notEmpty().withMessage('Phone number is required'),
+  body('code').notEmpty().withMessage('Code is required'),
+  body('name').trim().notEmpty().withMessage('Name is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ message: 'Please provide a valid phone number' });
+    }
+
+    if (await User.exists({ phone, phoneVerified: true })) {
+      return res.status(400).json({ message: 'User already exists with this phone number' });
+    }
+
+    const villageDoc = await resolveVillage(req.body.village);
+    if (villageDoc === false) {
+      return res.status(400).json({ message: 'Village not found' });
+    }
+
+    const { error } = await verifyOtp(phone, req.body.code);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Whoever proves ownership of the number gets it; drop unverified claims
+    await User.updateMany({ phone, phoneVerified: { $ne: true } }, { $unset: { phone: '' } });
+
+    const user = new User({
+      name: req.body.name,
+      phone,
+      phoneVerified: true,
+      village: villageDoc ? villageDoc._id : undefined,
+      role: 'villager'
+    });
+
+    await user.save();
+
+    const tokens = await issueTokens(user, req);
+
+    res.status(201).json({
+      ...tokens,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/phone/verify
+// @desc    Confirm a phone number for the current account with a one-time code
+// @access  Private
+router.post('/phone/verify', [
+  auth,
+  body('phone').notEmpty().withMessage('Phone number is required'),
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ message: 'Please provide a valid phone number' });
+    }
+
+    if (await User.exists({ phone, phoneVerified: true, _id: { $ne: req.user._id } })) {
+      return res.status(400).json({ message: 'This phone number belongs to another account' });
+    }
+
+    const { error } = await verifyOtp(phone, req.body.code);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await User.updateMany(
+      { phone, phoneVerified: { $ne: true }, _id: { $ne: req.user._id } },
+      { $unset: { phone: '' } }
+    );
+
+    const user = await User.findById(req.user._id).select('-password');
+    user.phone = phone;
+    user.phoneVerified = true;
+    await user.save();
+
+    res.json(user);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
 
     res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        village: user.village
+      ...result.tokens,
+      user: userSummary(result.user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session of a refresh token
+// @access  Public
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await revokeRefreshToken(req.body.refreshToken);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user on all devices
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password; signs out all other sessions
+// @access  Private
+router.put('/password', [
+  auth,
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    // Phone-only accounts may set a first password without a current one
+    if (user.password) {
+      const isMatch = await user.comparePassword(req.body.currentPassword || '');
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
       }
+    }
+
+    // Saving a new password bumps tokenVersion, revoking every session
+    user.password = req.body.newPassword;
+    await user.save();
+
+    const tokens = await issueTokens(user, req);
+
+    res.json({
+      ...tokens,
+      user: userSummary(user)
     });
   } catch (error) {
     console.error(error);
@@ -109,12 +414,119 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/verify-email/request
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/verify-email/request', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified !== false) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification link
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await verifyEmailToken(req.body.token, 'verify-email');
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) await sendPasswordResetEmail(user);
+
+    // Same answer either way so accounts cannot be discovered
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from a reset or account setup link
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await verifyEmailToken(req.body.token, 'password-reset', 'account-setup');
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    // Saving a new password bumps tokenVersion, revoking every session.
+    // Receiving the link also proves the email address.
+    user.password = req.body.password;
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('-password');
+    const user = await User.findById(req.user._id)
+      .select('-password')
+      .populate('village', 'name district state');
     res.json(user);
   } catch (error) {
     console.error(error);
@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { streamAuth } = require('../middleware/auth');
+const { subscribe } = require('../utils/realtime');
+const { hasPermission } = require('../utils/policy');
+
+const HEARTBEAT_INTERVAL = 25000;
+// Longest delay setTimeout supports
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// Comma separated ids from a query parameter, ignoring invalid ones
+const idList = (value) => {
+  if (!value) return [];
+  return String(value).split(',').filter((id) => mongoose.Types.ObjectId.isValid(id));
+};
+
+// @route   GET /api/events
+// @desc    Server-Sent Events stream of problem, solution and forum updates.
+//          Subscribe with ?village=<id,...> and/or ?problem=<id,...>;
+//          defaults to the user's own village. Users without village:any
+//          only receive events of their own village. The stream ends when
+//          the access token expires or is revoked; reconnect with a new one.
+// @access  Private
+router.get('/', streamAuth, (req, res) => {
+  const villages = new Set(idList(req.query.village));
+  const problems = new Set(idList(req.query.problem));
+  const ownVillage = req.user.village ? req.user.village.toString() : null;
+  const anyVillage = hasPermission(req.user, 'village:any');
+
+  if (!anyVillage && [...villages].some((village) => village !== ownVillage)) {
+    return res.status(403).json({ message: 'Not authorized for this village' });
+  }
+
+  if (!villages.size && !problems.size && ownVillage) {
+    villages.add(ownVillage);
+  }
+
+  const userId = req.user._id.toString();
+  const { tokenVersion } = req.user;
+  // Same rule as the problem routes: volunteers only see verified problems
+  const verifiedOnly = !hasPermission(req.user, 'problem:view-unverified');
+
+  const matches = (scope) => {
+    if (scope.user) return scope.user === userId;
+    if (verifiedOnly && scope.isVerified === false) return false;
+    if (!anyVillage && scope.village && scope.village !== ownVillage) return false;
+    if (scope.problem && problems.has(scope.problem)) return true;
+    return !!scope.village && villages.has(scope.village);
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('ready', { villages: [...villages], problems: [...problems] });
+
+  const unsubscribe = subscribe(({ event, data, scope }) => {
+    if (matches(scope)) send(event, data);
+  });
+
+  // Tell the client why before closing, so it reconnects with a fresh token
+  const end = (reason) => {
+    if (res.writableEnded || res.destroyed) return;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+    send('end', { reason });
+    res.end();
+  };
+
+  const expiry = setTimeout(() => end('token-expired'), Math.min(req.tokenExpiresAt - Date.now(), MAX_TIMEOUT));
+
+  // Keep proxies from closing an idle connection, and end streams whose
+  // sessions were revoked (logout everywhere, role or password change)
+  const heartbeat = setInterval(async () => {
+    try {
+      const user = await User.findById(userId).select('tokenVersion');
+      if (!user || user.tokenVersion !== tokenVersion) return end('token-revoked');
+      res.write(': heartbeat\n\n');
+    } catch (error) {
+      console.error('Event stream check failed:', error);
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
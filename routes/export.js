@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const Problem = require('../models/Problem');
+const Solution = require('../models/Solution');
+const ForumPost = require('../models/ForumPost');
+const User = require('../models/User');
+const { permit } = require('../middleware/auth');
+const { FORMATS, sendSpreadsheet } = require('../utils/spreadsheet');
+const { problemFilter, solutionFilter, userFilter, forumPostFilter } = require('../utils/adminFilters');
+
+// Mounted under /api/admin, which already requires admin authentication.
+// Each export takes ?format=csv|xlsx (default csv) and the filters of the
+// matching admin list route.
+
+const nameOf = (ref) => (ref && ref.name) || '';
+const idOf = (ref) => (ref ? String(ref._id || ref) : '');
+
+const EXPORTS = {
+  problems: {
+    model: Problem,
+    filter: problemFilter,
+    build: (query) => query
+      .select('-statusHistory -claims -progressUpdates')
+      .populate('village', 'name')
+      .populate('reportedBy', 'name email')
+      .populate('assignedTo', 'name'),
+    columns: [
+      { header: 'ID', value: (problem) => idOf(problem) },
+      { header: 'Title', value: (problem) => problem.title, width: 40 },
+      { header: 'Description', value: (problem) => problem.description, width: 60 },
+      { header: 'Category', value: (problem) => problem.category },
+      { header: 'Priority', value: (problem) => problem.priority },
+      { header: 'Status', value: (problem) => problem.status },
+      { header: 'Verified', value: (problem) => (problem.isVerified ? 'yes' : 'no') },
+      { header: 'Village', value: (problem) => nameOf(problem.village) },
+      { header: 'Location', value: (problem) => problem.location },
+      { header: 'Latitude', value: (problem) => problem.geoLocation && problem.geoLocation.coordinates && problem.geoLocation.coordinates[1] },
+      { header: 'Longitude', value: (problem) => problem.geoLocation && problem.geoLocation.coordinates && problem.geoLocation.coordinates[0] },
+      { header: 'Reported by', value: (problem) => nameOf(problem.reportedBy) },
+      { header: 'Reporter email', value: (problem) => problem.reportedBy && problem.reportedBy.email },
+      { header: 'Assigned to', value: (problem) => nameOf(problem.assignedTo) },
+      { header: 'Upvotes', value: (problem) => problem.upvotes.length },
+      { header: 'Solutions', value: (problem) => problem.solutions.length },
+      { header: 'Reported at', value: (problem) => problem.createdAt },
+      { header: 'Resolution due', value: (problem) => problem.resolutionDueAt },
+      { header: 'Resolved at', value: (problem) => problem.resolvedAt }
+    ]
+  },
+  solutions: {
+    model: Solution,
+    filter: solutionFilter,
+    build: (query) => query
+      .select('-comments -evidence')
+      .populate('problem', 'title')
+      .populate('village', 'name')
+      .populate('proposedBy', 'name email'),
+    columns: [
+      { header: 'ID', value: (solution) => idOf(solution) },
+      { header: 'Problem', value: (solution) => solution.problem && solution.problem.title, width: 40 },
+      { header: 'Title', value: (solution) => solution.title, width: 40 },
+      { header: 'Description', value: (solution) => solution.description, width: 60 },
+      { header: 'Status', value: (solution) => solution.status },
+      { header: 'Shortlisted', value: (solution) => (solution.isShortlisted ? 'yes' : 'no') },
+      { header: 'Village', value: (solution) => nameOf(solution.village) },
+      { header: 'Proposed by', value: (solution) => nameOf(solution.proposedBy) },
+      { header: 'Estimated cost', value: (solution) => solution.estimatedCost },
+      { header: 'Estimated time', value: (solution) => solution.estimatedTime },
+      { header: 'Upvotes', value: (solution) => solution.upvotes.length },
+      { header: 'Proposed at', value: (solution) => solution.createdAt },
+      { header: 'Implemented at', value: (solution) => solution.implementedAt }
+    ]
+  },
+  users: {
+    model: User,
+    filter: userFilter,
+    build: (query) => query
+      .select('name email phone role village emailVerified phoneVerified createdAt')
+      .populate('village', 'name'),
+    columns: [
+      { header: 'ID', value: (user) => idOf(user) },
+      { header: 'Name', value: (user) => user.name, width: 30 },
+      { header: 'Email', value: (user) => user.email, width: 30 },
+      { header: 'Phone', value: (user) => user.phone },
+      { header: 'Role', value: (user) => user.role },
+      { header: 'Village', value: (user) => nameOf(user.village) },
+      // Accounts from before email verification count as verified
+      { header: 'Email verified', value: (user) => (user.email ? (user.emailVerified === false ? 'no' : 'yes') : '') },
+      { header: 'Phone verified', value: (user) => (user.phone ? (user.phoneVerified ? 'yes' : 'no') : '') },
+      { header: 'Joined at', value: (user) => user.createdAt }
+    ]
+  },
+  forum: {
+    model: ForumPost,
+    filter: forumPostFilter,
+    build: (query) => query
+      .select('-attachments')
+      .populate('village', 'name')
+      .populate('author', 'name'),
+    columns: [
+      { header: 'ID', value: (post) => idOf(post) },
+      { header: 'Title', value: (post) => post.title, width: 40 },
+      { header: 'Content', value: (post) => post.content, width: 60 },
+      { header: 'Category', value: (post) => post.category },
+      { header: 'Tags', value: (post) => post.tags },
+      { header: 'Village', value: (post) => nameOf(post.village) },
+      { header: 'Author', value: (post) => nameOf(post.author) },
+      { header: 'Upvotes', value: (post) => post.upvotes.length },
+      { header: 'Comments', value: (post) => post.comments.length },
+      { header: 'Pinned', value: (post) => (post.isPinned ? 'yes' : 'no') },
+      { header: 'Posted at', value: (post) => post.createdAt }
+    ]
+  }
+};
+
+// @route   GET /api/admin/export/:resource
+// @desc    Download problems, solutions, users or forum posts as CSV or XLSX
+// @access  Private/Admin
+router.get('/:resource', permit('admin:export'), async (req, res) => {
+  const format = req.query.format || 'csv';
+  const resource = EXPORTS[req.params.resource];
+
+  if (!resource) {
+    return res.status(404).json({ message: `Export must be one of ${Object.keys(EXPORTS).join(', ')}` });
+  }
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ message: `format must be one of ${FORMATS.join(', ')}` });
+  }
+
+  try {
+    const rows = resource.build(resource.model.find(resource.filter(req)))
+      .sort({ createdAt: -1 })
+      .cursor();
+    const date = new Date().toISOString().slice(0, 10);
+
+    await sendSpreadsheet(res, {
+      format,
+      filename: `${req.params.resource}-${date}`,
+      sheet: req.params.resource,
+      columns: resource.columns,
+      rows
+    });
+  } catch (error) {
+    console.error(error);
+    // Once streaming has started the only option left is to cut the download short
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
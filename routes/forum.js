@@ -1,26 +1,128 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const ForumPost = require('../models/ForumPost');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, optionalAuth, permit, verifiedEmail } = require('../middleware/auth');
+const { can } = require('../utils/policy');
+const { onlyWritableFields } = require('../middleware/writableFields');
+const { villageFilter, targetVillage } = require('../utils/village');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { commentThread } = require('../utils/comments');
+const { uploadFiles } = require('../middleware/upload');
+const { notify } = require('../utils/notifications');
+const { publishForumComment } = require('../utils/realtime');
+const { storeUploads, removeAttachments, InvalidUploadError } = require('../utils/attachments');
+const { audit, snapshot, attachmentNames } = require('../utils/audit');
+const { deleteForumPost } = require('../utils/deletion');
+const { screenContent } = require('../middleware/wordFilter');
+const { heldFields, holdForReview, flagContent, closeCases, isVisible, withVisibleComments } = require('../utils/moderation');
+const ModerationCase = require('../models/ModerationCase');
+
+const AUDITED_FIELDS = ['title', 'content', 'category', 'tags', 'event', 'isPinned', 'village'];
+
+const auditTarget = (post) => ({ kind: 'ForumPost', id: post._id, label: post.title });
+
+// Shape of the `event` details; eventError checks they fit the category
+const eventRules = [
+  body('event.startsAt').optional().isISO8601().withMessage('Event start must be a date'),
+  body('event.endsAt').optional({ values: 'null' }).isISO8601().withMessage('Event end must be a date'),
+  body('event.venue').optional().isString().trim(),
+  body('event.capacity').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Capacity must be a positive number')
+];
+
+// Why `event` does not suit a post in `category`, or null when it does
+const eventError = (category, event) => {
+  if (category !== 'event') return event ? 'Only posts in the event category can have event details' : null;
+  if (!event || !event.startsAt) return 'Event posts need a start time';
+  if (event.endsAt && new Date(event.endsAt) < new Date(event.startsAt)) return 'The event must end after it starts';
+  return null;
+};
+
+// Post as JSON for `user`. Who answered an event's RSVP stays with the
+// organisers; everyone else gets the counts and their own answer.
+const postJSON = (post, user) => {
+  const json = withVisibleComments(post, user);
+
+  if (post.event) {
+    const own = user && post.rsvps.find((rsvp) => rsvp.user.equals(user._id));
+    json.rsvp = own ? own.status : null;
+  }
+  delete json.rsvps;
+  return json;
+};
 
 // @route   GET /api/forum
 // @desc    Get all forum posts
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { category, sort = '-createdAt' } = req.query;
-    const filter = {};
+    const { category } = req.query;
+    const filter = villageFilter(req);
+
+    if (!filter) {
+      return res.status(400).json({ message: 'Invalid village' });
+    }
     
     if (category) filter.category = category;
+    filter.isHidden = { $ne: true };
 
-    const posts = await ForumPost.find(filter)
+    const { page, error } = parsePagination(req.query, { sortable: ForumPost.SORTABLE_FIELDS });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await paginate(ForumPost, filter, page, (query) => query
       .populate('author', 'name email village')
-      .populate('comments.user', 'name email')
-      .sort(sort)
-      .limit(parseInt(req.query.limit) || 50);
+      .populate('comments.user', 'name email'));
+
+    res.json({ ...result, items: result.items.map((post) => postJSON(post, req.user)) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/forum/events
+// @desc    Get upcoming and ongoing events (?from=, ?to= narrow the dates)
+// @access  Public
+router.get('/events', optionalAuth, async (req, res) => {
+  try {
+    const filter = villageFilter(req);
+
+    if (!filter) {
+      return res.status(400).json({ message: 'Invalid village' });
+    }
 
-    res.json(posts);
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if (isNaN(from) || (to && isNaN(to))) {
+      return res.status(400).json({ message: 'from and to must be dates' });
+    }
+
+    filter.category = 'event';
+    filter.isHidden = { $ne: true };
+    // Events still running at `from`; events without an end until they start
+    filter.$or = [
+      { 'event.endsAt': { $gte: from } },
+      { 'event.endsAt': null, 'event.startsAt': { $gte: from } }
+    ];
+    if (to) filter['event.startsAt'] = { $lte: to };
+
+    const { page, error } = parsePagination(req.query, { sortable: ['event.startsAt'], defaultSort: 'event.startsAt' });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await paginate(ForumPost, filter, page, (query) => query
+      .select('-comments')
+      .populate('author', 'name')
+      .populate('village', 'name'));
+
+    res.json({ ...result, items: result.items.map((post) => postJSON(post, req.user)) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -30,17 +132,17 @@ router.get('/', async (req, res) => {
 // @route   GET /api/forum/:id
 // @desc    Get single forum post
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const post = await ForumPost.findById(req.params.id)
       .populate('author', 'name email village')
       .populate('comments.user', 'name email');
 
-    if (!post) {
+    if (!post || !isVisible(req.user, 'ForumPost', post)) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    res.json(post);
+    res.json(postJSON(post, req.user));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -52,8 +154,13 @@ router.get('/:id', async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
+  permit('forum:create'),
+  verifiedEmail,
+  onlyWritableFields('ForumPost', 'create'),
   body('title').trim().notEmpty().withMessage('Title is required'),
-  body('content').trim().notEmpty().withMessage('Content is required')
+  body('content').trim().notEmpty().withMessage('Content is required'),
+  ...eventRules,
+  screenContent('title', 'content')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -61,12 +168,25 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const invalidEvent = eventError(req.body.category, req.body.event);
+    if (invalidEvent) {
+      return res.status(400).json({ message: invalidEvent });
+    }
+
+    const village = targetVillage(req);
+    if (!village) {
+      return res.status(400).json({ message: 'Please join a village before posting' });
+    }
+
     const post = new ForumPost({
       ...req.body,
-      author: req.user._id
+      village,
+      author: req.user._id,
+      ...heldFields(req)
     });
 
     await post.save();
+    await holdForReview(req, 'ForumPost', post);
     await post.populate('author', 'name email village');
 
     res.status(201).json(post);
@@ -79,24 +199,149 @@ router.post('/', [
 // @route   PUT /api/forum/:id
 // @desc    Update a forum post
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', [
+  auth,
+  onlyWritableFields('ForumPost', 'update'),
+  ...eventRules
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const post = await ForumPost.findById(req.params.id);
     
     if (!post) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Only the author or admin can update
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!can(req.user, 'forum:update', post)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    Object.assign(post, req.body);
+    // Event details may be updated one field at a time; leaving the event
+    // category drops them
+    const category = req.body.category || post.category;
+    const event = category === 'event'
+      ? { ...(post.event && post.event.toObject()), ...req.body.event }
+      : req.body.event;
+
+    const invalidEvent = eventError(category, event);
+    if (invalidEvent) {
+      return res.status(400).json({ message: invalidEvent });
+    }
+
+    const before = snapshot(post, AUDITED_FIELDS);
+    Object.assign(post, req.body, { event: category === 'event' ? event : undefined });
     await post.save();
+    await audit(req, { action: 'forum.update', target: auditTarget(post), village: post.village, before, after: snapshot(post, AUDITED_FIELDS) });
     await post.populate('author', 'name email village');
 
-    res.json(post);
+    res.json(postJSON(post, req.user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/forum/:id/rsvp
+// @desc    RSVP to an event: going, maybe or not-going
+// @access  Private
+router.post('/:id/rsvp', [
+  auth,
+  permit('forum:rsvp'),
+  body('status').isIn(ForumPost.RSVP_STATUSES).withMessage(`Status must be one of ${ForumPost.RSVP_STATUSES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const post = await ForumPost.findById(req.params.id);
+
+    if (!post || !isVisible(req.user, 'ForumPost', post)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    if (!post.event) {
+      return res.status(400).json({ message: 'This post is not an event' });
+    }
+
+    if (post.hasEnded()) {
+      return res.status(400).json({ message: 'This event is already over' });
+    }
+
+    const { status } = req.body;
+    const { capacity } = post.event;
+    const rsvp = post.rsvps.find((entry) => entry.user.equals(req.user._id));
+    const joining = status === 'going' && (!rsvp || rsvp.status !== 'going');
+    const now = new Date();
+
+    // One conditional update, so concurrent answers can neither overbook
+    // the event nor overwrite each other. It only applies while the user's
+    // previous answer and, when joining, a free place are still there.
+    const filter = { _id: post._id };
+    const update = { $inc: {} };
+
+    if (rsvp) {
+      filter.rsvps = { $elemMatch: { user: req.user._id, status: rsvp.status } };
+      update.$set = { 'rsvps.$.status': status, 'rsvps.$.respondedAt': now };
+      if (rsvp.status !== status) {
+        update.$inc[`rsvpCounts.${ForumPost.RSVP_COUNTS[rsvp.status]}`] = -1;
+        update.$inc[`rsvpCounts.${ForumPost.RSVP_COUNTS[status]}`] = 1;
+      }
+    } else {
+      filter['rsvps.user'] = { $ne: req.user._id };
+      update.$push = { rsvps: { user: req.user._id, status, respondedAt: now } };
+      update.$inc[`rsvpCounts.${ForumPost.RSVP_COUNTS[status]}`] = 1;
+    }
+    if (joining && capacity) {
+      filter['rsvpCounts.going'] = { $lt: capacity };
+    }
+    if (!Object.keys(update.$inc).length) delete update.$inc;
+
+    const updated = await ForumPost.findOneAndUpdate(filter, update, { new: true }).select('rsvpCounts');
+
+    if (!updated) {
+      const current = await ForumPost.findById(post._id).select('rsvpCounts');
+      if (joining && capacity && current && current.rsvpCounts.going >= capacity) {
+        return res.status(400).json({ message: 'This event is full' });
+      }
+      return res.status(409).json({ message: 'Your answer changed in the meantime, please try again' });
+    }
+
+    res.json({ rsvp: status, rsvpCounts: updated.rsvpCounts, capacity });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/forum/:id/rsvps
+// @desc    Get who answered an event's RSVP (?status=going|maybe|not-going)
+// @access  Private (organiser and admins)
+router.get('/:id/rsvps', auth, async (req, res) => {
+  try {
+    const post = await ForumPost.findById(req.params.id).populate('rsvps.user', 'name email phone');
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    if (!can(req.user, 'forum:update', post)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!post.event) {
+      return res.status(400).json({ message: 'This post is not an event' });
+    }
+
+    const { status } = req.query;
+    const rsvps = status ? post.rsvps.filter((rsvp) => rsvp.status === status) : post.rsvps;
+
+    res.json({ rsvps, rsvpCounts: post.rsvpCounts, capacity: post.event.capacity });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -106,11 +351,11 @@ router.put('/:id', auth, async (req, res) => {
 // @route   POST /api/forum/:id/upvote
 // @desc    Upvote a forum post
 // @access  Private
-router.post('/:id/upvote', auth, async (req, res) => {
+router.post('/:id/upvote', auth, permit('forum:upvote'), async (req, res) => {
   try {
     const post = await ForumPost.findById(req.params.id);
     
-    if (!post) {
+    if (!post || !isVisible(req.user, 'ForumPost', post)) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
@@ -122,7 +367,41 @@ router.post('/:id/upvote', auth, async (req, res) => {
     }
 
     await post.save();
-    res.json(post);
+    res.json(postJSON(post, req.user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/forum/:id/comments
+// @desc    Get a page of comments on a forum post; ?parent=<commentId> gets the replies to a comment
+// @access  Public
+router.get('/:id/comments', optionalAuth, async (req, res) => {
+  try {
+    const { parent } = req.query;
+
+    if (parent && !mongoose.Types.ObjectId.isValid(parent)) {
+      return res.status(400).json({ message: 'Invalid parent comment' });
+    }
+
+    const { page, error } = parsePagination(req.query, { sortable: ['createdAt'], defaultSort: 'createdAt' });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const post = await ForumPost.findById(req.params.id).populate('comments.user', 'name email');
+
+    if (!post || !isVisible(req.user, 'ForumPost', post)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    if (parent && !post.comments.id(parent)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    res.json(commentThread(post, req.user, parent, page));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -130,11 +409,15 @@ router.post('/:id/upvote', auth, async (req, res) => {
 });
 
 // @route   POST /api/forum/:id/comments
-// @desc    Add comment to forum post
+// @desc    Add comment to forum post, or reply to a comment with `parent`
 // @access  Private
 router.post('/:id/comments', [
   auth,
-  body('text').trim().notEmpty().withMessage('Comment text is required')
+  permit('forum:comment'),
+  verifiedEmail,
+  body('text').trim().notEmpty().withMessage('Comment text is required'),
+  body('parent').optional().isMongoId().withMessage('Invalid parent comment'),
+  screenContent('text')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -144,19 +427,137 @@ router.post('/:id/comments', [
 
     const post = await ForumPost.findById(req.params.id);
     
-    if (!post) {
+    if (!post || !isVisible(req.user, 'ForumPost', post)) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
+    const parent = req.body.parent && post.comments.id(req.body.parent);
+    if (req.body.parent) {
+      if (!parent || !isVisible(req.user, 'ForumComment', parent, post)) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      if (parent.isDeleted) {
+        return res.status(400).json({ message: 'You cannot reply to a deleted comment' });
+      }
+    }
+
     post.comments.push({
       user: req.user._id,
-      text: req.body.text
+      text: req.body.text,
+      parent: parent ? parent._id : undefined,
+      ...heldFields(req)
     });
 
     await post.save();
+    const comment = post.comments[post.comments.length - 1];
+    await holdForReview(req, 'ForumComment', comment, post);
     await post.populate('comments.user', 'name email');
 
-    res.json(post);
+    // Comments held by the word filter only go out once a moderator restores them
+    if (!comment.isHidden) {
+      publishForumComment(post, comment);
+
+      await notify({
+        recipient: post.author,
+        actor: req.user._id,
+        type: 'forum-comment',
+        message: `${req.user.name} commented on your post "${post.title}"`,
+        target: { kind: 'ForumPost', item: post._id }
+      });
+
+      if (parent && parent.user && !parent.user.equals(post.author)) {
+        await notify({
+          recipient: parent.user,
+          actor: req.user._id,
+          type: 'forum-comment',
+          message: `${req.user.name} replied to your comment on "${post.title}"`,
+          target: { kind: 'ForumPost', item: post._id }
+        });
+      }
+    }
+
+    res.json(postJSON(post, req.user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/forum/:id/comments/:commentId
+// @desc    Edit your own comment
+// @access  Private
+router.put('/:id/comments/:commentId', [
+  auth,
+  body('text').trim().notEmpty().withMessage('Comment text is required'),
+  screenContent('text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const post = await ForumPost.findById(req.params.id);
+
+    if (!post || !isVisible(req.user, 'ForumPost', post)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!comment.user || !comment.user.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    comment.text = req.body.text;
+    comment.editedAt = new Date();
+    Object.assign(comment, heldFields(req));
+
+    await post.save();
+    await holdForReview(req, 'ForumComment', comment, post);
+    await post.populate('comments.user', 'name email');
+
+    res.json(postJSON(post, req.user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/forum/:id/comments/:commentId
+// @desc    Delete a comment, leaving a tombstone so its replies stay in place
+// @access  Private
+router.delete('/:id/comments/:commentId', auth, async (req, res) => {
+  try {
+    const post = await ForumPost.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const isAuthor = !!comment.user && comment.user.equals(req.user._id);
+    if (!isAuthor && !can(req.user, 'comment:delete', post)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const before = { comment: comment._id, user: comment.user, text: comment.text };
+    comment.tombstone(req.user._id);
+    await post.save();
+    await closeCases([comment._id]);
+    if (!isAuthor) {
+      await audit(req, { action: 'forum.comment.delete', target: auditTarget(post), village: post.village, before, after: null });
+    }
+    await post.populate('comments.user', 'name email');
+
+    res.json(postJSON(post, req.user));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -166,7 +567,7 @@ router.post('/:id/comments', [
 // @route   POST /api/forum/:id/comments/:commentId/upvote
 // @desc    Upvote a comment
 // @access  Private
-router.post('/:id/comments/:commentId/upvote', auth, async (req, res) => {
+router.post('/:id/comments/:commentId/upvote', auth, permit('forum:upvote'), async (req, res) => {
   try {
     const post = await ForumPost.findById(req.params.id);
     
@@ -175,7 +576,7 @@ router.post('/:id/comments/:commentId/upvote', auth, async (req, res) => {
     }
 
     const comment = post.comments.id(req.params.commentId);
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
@@ -189,7 +590,144 @@ router.post('/:id/comments/:commentId/upvote', auth, async (req, res) => {
     await post.save();
     await post.populate('comments.user', 'name email');
 
-    res.json(post);
+    res.json(postJSON(post, req.user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/forum/:id/flag
+// @desc    Flag a forum post for moderation
+// @access  Private
+router.post('/:id/flag', [
+  auth,
+  permit('content:flag'),
+  body('reason').isIn(ModerationCase.FLAG_REASONS).withMessage(`Reason must be one of ${ModerationCase.FLAG_REASONS.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const post = await ForumPost.findById(req.params.id);
+
+    if (!post || !isVisible(req.user, 'ForumPost', post)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const { error } = await flagContent(req, 'ForumPost', post);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.status(201).json({ message: 'Thank you, a moderator will review this post' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/forum/:id/comments/:commentId/flag
+// @desc    Flag a comment on a forum post for moderation
+// @access  Private
+router.post('/:id/comments/:commentId/flag', [
+  auth,
+  permit('content:flag'),
+  body('reason').isIn(ModerationCase.FLAG_REASONS).withMessage(`Reason must be one of ${ModerationCase.FLAG_REASONS.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const post = await ForumPost.findById(req.params.id);
+
+    if (!post || !isVisible(req.user, 'ForumPost', post)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted || !isVisible(req.user, 'ForumComment', comment, post)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const { error } = await flagContent(req, 'ForumComment', comment, post);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.status(201).json({ message: 'Thank you, a moderator will review this comment' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/forum/:id/attachments
+// @desc    Upload images or documents for a forum post
+// @access  Private
+router.post('/:id/attachments', auth, uploadFiles, async (req, res) => {
+  try {
+    const post = await ForumPost.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    if (!can(req.user, 'forum:attach', post)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const before = attachmentNames(post.attachments);
+    const attachments = await storeUploads(req.files, `forum/${post._id}`, req.user._id);
+    post.attachments.push(...attachments);
+    await post.save();
+    await audit(req, { action: 'forum.attachment.add', target: auditTarget(post), village: post.village, before, after: attachmentNames(post.attachments) });
+
+    res.status(201).json(post.attachments);
+  } catch (error) {
+    if (error instanceof InvalidUploadError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/forum/:id/attachments/:attachmentId
+// @desc    Delete an uploaded file
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    const post = await ForumPost.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    if (!can(req.user, 'forum:attach', post)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const attachment = post.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const before = attachmentNames(post.attachments);
+    post.attachments.pull(attachment._id);
+    await post.save();
+    await removeAttachments([attachment]);
+    await audit(req, { action: 'forum.attachment.remove', target: auditTarget(post), village: post.village, before, after: attachmentNames(post.attachments) });
+
+    res.json(post.attachments);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -199,7 +737,7 @@ router.post('/:id/comments/:commentId/upvote', auth, async (req, res) => {
 // @route   PUT /api/forum/:id/pin
 // @desc    Pin/unpin a forum post (Admin only)
 // @access  Private/Admin
-router.put('/:id/pin', auth, adminAuth, async (req, res) => {
+router.put('/:id/pin', auth, permit('forum:pin'), async (req, res) => {
   try {
     const post = await ForumPost.findById(req.params.id);
     
@@ -207,8 +745,19 @@ router.put('/:id/pin', auth, adminAuth, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
+    if (!can(req.user, 'forum:pin', post)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
     post.isPinned = !post.isPinned;
     await post.save();
+    await audit(req, {
+      action: post.isPinned ? 'forum.pin' : 'forum.unpin',
+      target: auditTarget(post),
+      village: post.village,
+      before: { isPinned: !post.isPinned },
+      after: { isPinned: post.isPinned }
+    });
     await post.populate('author', 'name email village');
 
     res.json(post);
@@ -229,12 +778,12 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Only the author or admin can delete
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!can(req.user, 'forum:delete', post)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    await ForumPost.findByIdAndDelete(req.params.id);
+    await deleteForumPost(post);
+    await audit(req, { action: 'forum.delete', target: auditTarget(post), village: post.village, before: snapshot(post, ['author', ...AUDITED_FIELDS]), after: null });
 
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const Problem = require('../models/Problem');
+const User = require('../models/User');
+const Village = require('../models/Village');
+const { permit } = require('../middleware/auth');
+const { uploadCsv } = require('../middleware/upload');
+const { ROLES, PRIVILEGED_ROLES, hasPermission } = require('../utils/policy');
+const { toPoint } = require('../utils/geo');
+const { normalizePhone } = require('../utils/phone');
+const { sendAccountSetupEmail } = require('../utils/accountEmails');
+const { audit, snapshot } = require('../utils/audit');
+
+// Mounted under /api/admin, which already requires admin authentication.
+// Imports take a CSV upload in the "file" field with a header row. With
+// ?dryRun=true nothing is saved and the validation report is returned.
+// Otherwise rows are only imported when every row is valid.
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+// Spreadsheet row number of a data row: the header is row 1
+const rowNumber = (index) => index + 2;
+
+const parseCsv = (buffer) => parse(buffer, {
+  bom: true,
+  columns: (header) => header.map((column) => column.trim().toLowerCase().replace(/[\s-]+/g, '_')),
+  skip_empty_lines: true,
+  trim: true
+});
+
+// Row errors from mongoose validation of `doc`
+const validationErrors = (doc) => {
+  const error = doc.validateSync();
+  return error ? Object.values(error.errors).map((err) => ({ field: err.path, message: err.message })) : [];
+};
+
+// Villages named in the file, by lowercased name or id
+const loadVillages = async (rows) => {
+  const values = [...new Set(rows.map((row) => row.village).filter(Boolean))];
+  const villages = new Map();
+  for (const value of values) {
+    villages.set(value.toLowerCase(), await Village.resolve(value));
+  }
+  return villages;
+};
+
+// Village of a row: admins who act on any village may name one, everyone
+// else imports into their own village
+const rowVillage = (row, villages, user) => {
+  if (!row.village) return { village: user.village };
+
+  const village = villages.get(row.village.toLowerCase());
+  if (!village) return { error: `Unknown village "${row.village}"` };
+  if (!hasPermission(user, 'village:any') && String(village._id) !== String(user.village)) {
+    return { error: 'You can only import into your own village' };
+  }
+  return { village: village._id };
+};
+
+// Build unsaved problems from CSV rows.
+// Columns: title, description, category, priority, location, latitude,
+// longitude, village, reporter_email, verified
+const buildProblems = async (rows, user) => {
+  const villages = await loadVillages(rows);
+  const emails = [...new Set(rows.map((row) => (row.reporter_email || '').toLowerCase()).filter(Boolean))];
+  const reporters = new Map(
+    (await User.find({ email: { $in: emails } }).select('email village'))
+      .map((reporter) => [reporter.email, reporter])
+  );
+
+  return rows.map((row, index) => {
+    const errors = [];
+
+    const { village, error: villageError } = rowVillage(row, villages, user);
+    if (villageError) errors.push({ field: 'village', message: villageError });
+    else if (!village) errors.push({ field: 'village', message: 'A village is required' });
+
+    let reportedBy = user._id;
+    if (row.reporter_email) {
+      const reporter = reporters.get(row.reporter_email.toLowerCase());
+      if (reporter) reportedBy = reporter._id;
+      else errors.push({ field: 'reporter_email', message: `No user with email ${row.reporter_email}` });
+    }
+
+    let geoLocation;
+    if (row.latitude || row.longitude) {
+      geoLocation = toPoint({ lat: row.latitude, lng: row.longitude });
+      if (!geoLocation) errors.push({ field: 'latitude', message: 'latitude and longitude must be valid coordinates' });
+    }
+
+    const doc = new Problem({
+      title: row.title,
+      description: row.description,
+      category: row.category && row.category.toLowerCase(),
+      priority: (row.priority && row.priority.toLowerCase()) || undefined,
+      location: row.location,
+      geoLocation: geoLocation || undefined,
+      village,
+      reportedBy,
+      isVerified: TRUE_VALUES.includes((row.verified || '').toLowerCase())
+    });
+    errors.push(...validationErrors(doc));
+
+    return { row: rowNumber(index), doc, errors };
+  });
+};
+
+// Build unsaved users from CSV rows. Columns: name, email, phone, role, village
+const buildUsers = async (rows, user) => {
+  const villages = await loadVillages(rows);
+  const emails = rows.map((row) => (row.email || '').toLowerCase()).filter(Boolean);
+  const phones = rows.map((row) => normalizePhone(row.phone)).filter(Boolean);
+  const existing = await User.find({ $or: [{ email: { $in: emails } }, { phone: { $in: phones } }] }).select('email phone');
+  const taken = new Set(existing.flatMap((account) => [account.email, account.phone]).filter(Boolean));
+  const seen = new Set();
+
+  return rows.map((row, index) => {
+    const errors = [];
+    const email = (row.email || '').toLowerCase();
+    const role = (row.role || 'villager').toLowerCase();
+
+    // Imported accounts get an email to choose their password
+    if (!email) errors.push({ field: 'email', message: 'Email is required' });
+    else if (taken.has(email)) errors.push({ field: 'email', message: 'A user with this email already exists' });
+    else if (seen.has(email)) errors.push({ field: 'email', message: 'Email appears more than once in the file' });
+
+    let phone;
+    if (row.phone) {
+      phone = normalizePhone(row.phone);
+      if (!phone) errors.push({ field: 'phone', message: 'Invalid phone number' });
+      else if (taken.has(phone)) errors.push({ field: 'phone', message: 'A user with this phone number already exists' });
+      else if (seen.has(phone)) errors.push({ field: 'phone', message: 'Phone number appears more than once in the file' });
+    }
+    seen.add(email);
+    if (phone) seen.add(phone);
+
+    if (!ROLES[role]) {
+      errors.push({ field: 'role', message: `Role must be one of ${Object.keys(ROLES).join(', ')}` });
+    } else if (PRIVILEGED_ROLES.includes(role) && !hasPermission(user, 'user:manage-admins')) {
+      errors.push({ field: 'role', message: 'Only global admins can create admins' });
+    }
+
+    const { village, error: villageError } = rowVillage(row, villages, user);
+    if (villageError) errors.push({ field: 'village', message: villageError });
+    else if (ROLES[role] && ROLES[role].villageScoped && !village) {
+      errors.push({ field: 'village', message: 'Village admins need a village' });
+    }
+
+    const doc = new User({
+      name: row.name,
+      email: email || undefined,
+      phone: phone || undefined,
+      role,
+      village,
+      // Replaced when the user follows the account setup link
+      password: crypto.randomBytes(24).toString('base64url'),
+      emailVerified: false
+    });
+    errors.push(...validationErrors(doc));
+
+    return { row: rowNumber(index), doc, errors };
+  });
+};
+
+const IMPORTS = {
+  problems: {
+    model: Problem,
+    build: buildProblems,
+    action: 'problem.import',
+    kind: 'Problem',
+    label: (problem) => problem.title,
+    fields: ['title', 'category', 'priority', 'village', 'reportedBy', 'isVerified']
+  },
+  users: {
+    model: User,
+    build: buildUsers,
+    action: 'user.import',
+    kind: 'User',
+    label: (user) => user.name,
+    fields: ['name', 'email', 'phone', 'role', 'village'],
+    // Resolves to false when the email could not be sent
+    afterSave: (user) => sendAccountSetupEmail(user)
+  }
+};
+
+// @route   POST /api/admin/import/:resource
+// @desc    Import problems or users from a CSV file (?dryRun=true to only validate)
+// @access  Private/Admin
+router.post('/:resource', permit('admin:import'), uploadCsv, async (req, res) => {
+  try {
+    const resource = IMPORTS[req.params.resource];
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!resource) {
+      return res.status(404).json({ message: `Import must be one of ${Object.keys(IMPORTS).join(', ')}` });
+    }
+
+    let rows;
+    try {
+      rows = parseCsv(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read CSV: ${error.message}` });
+    }
+
+    if (!rows.length) {
+      return res.status(400).json({ message: 'The file has no data rows' });
+    }
+    if (rows.length > MAX_ROWS) {
+      return res.status(400).json({ message: `At most ${MAX_ROWS} rows can be imported at once` });
+    }
+
+    const results = await resource.build(rows, req.user);
+    const invalid = results.filter((result) => result.errors.length);
+    const report = {
+      dryRun,
+      total: results.length,
+      valid: results.length - invalid.length,
+      invalid: invalid.length,
+      errors: invalid.map(({ row, errors }) => ({ row, errors }))
+    };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+    if (invalid.length) {
+      return res.status(400).json({ message: 'Nothing was imported; fix the rows with errors and try again', ...report });
+    }
+
+    // Save every row before anything else happens, removing the saved rows
+    // again when one fails so an import is all or nothing. Documents are
+    // saved one by one because insertMany would skip the save hooks
+    // (password hashing, SLA deadlines).
+    const created = [];
+    try {
+      for (const { doc } of results) {
+        await doc.save();
+        created.push(doc._id);
+      }
+    } catch (error) {
+      await resource.model.deleteMany({ _id: { $in: created } });
+
+      // Another request created a conflicting record (e.g. the same email)
+      // since the rows were checked
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'Nothing was imported; some rows now conflict with existing records, please try again', ...report });
+      }
+      throw error;
+    }
+
+    const mailErrors = [];
+    for (const { row, doc } of results) {
+      await audit(req, {
+        action: resource.action,
+        target: { kind: resource.kind, id: doc._id, label: resource.label(doc) },
+        village: doc.village,
+        before: null,
+        after: snapshot(doc, resource.fields)
+      });
+      if (resource.afterSave && !(await resource.afterSave(doc))) {
+        mailErrors.push({ row, message: 'The account setup email could not be sent' });
+      }
+    }
+
+    res.status(201).json({ ...report, imported: created.length, ids: created, mailErrors });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
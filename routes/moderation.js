@@ -0,0 +1,343 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ModerationCase = require('../models/ModerationCase');
+const User = require('../models/User');
+const { permit } = require('../middleware/auth');
+const { can, scopeFilter } = require('../utils/policy');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { notify } = require('../utils/notifications');
+const { CONTENT, setContentHidden, notificationTarget } = require('../utils/moderation');
+const { deleteProblem, deleteSolution, deleteForumPost } = require('../utils/deletion');
+const { audit } = require('../utils/audit');
+const { publishProblem, publishSolution, publishForumComment } = require('../utils/realtime');
+
+// Mounted under /api/admin, which already requires admin authentication.
+// Village admins review the cases of their own village.
+
+const STATUSES = ModerationCase.schema.path('status').enumValues;
+
+const auditTarget = (moderationCase) => ({
+  kind: moderationCase.content.kind,
+  id: moderationCase.content.id,
+  label: moderationCase.excerpt
+});
+
+// The flagged document or comment, or null when it no longer exists
+const loadContent = async ({ content }) => {
+  const { model, comment } = CONTENT[content.kind];
+
+  if (!comment) return model.findById(content.id);
+
+  const parent = await model.findById(content.parent);
+  return parent && parent.comments.id(content.id);
+};
+
+// Resolves to `{ error }` when the content may not be deleted
+const deleteContent = async ({ content }, actor) => {
+  const { model, comment } = CONTENT[content.kind];
+
+  // Comments become tombstones so their replies stay in the thread
+  if (comment) {
+    const parent = await model.findById(content.parent);
+    const item = parent && parent.comments.id(content.id);
+
+    if (item && !item.isDeleted) {
+      item.tombstone(actor);
+      await parent.save();
+    }
+    return {};
+  }
+
+  const doc = await model.findById(content.id);
+  if (!doc) return {};
+  if (content.kind === 'Problem') return deleteProblem(doc);
+  if (content.kind === 'Solution') return deleteSolution(doc, actor);
+  return deleteForumPost(doc);
+};
+
+// Publish the event that creation skipped for content the word filter held
+// back. Held edits of comments were announced when first posted.
+const publishRestored = (kind, item) => {
+  if (kind === 'Problem') publishProblem('problem.created', item);
+  if (kind === 'Solution') publishSolution('solution.proposed', item);
+  if (kind === 'ForumComment' && !item.editedAt) publishForumComment(item.ownerDocument(), item);
+};
+
+// Record a moderator decision. Hiding, restoring and deleting settle the
+// flags received so far.
+const decide = (moderationCase, action, req, note) => {
+  moderationCase.decisions.push({ action, by: req.user._id, note });
+  if (action !== 'warn') moderationCase.flagCount = 0;
+};
+
+const notifyAuthor = (moderationCase, req, message, target) => notify({
+  recipient: moderationCase.author,
+  actor: req.user._id,
+  type: 'content-hidden',
+  message,
+  target
+});
+
+// @route   GET /api/admin/moderation
+// @desc    Get the moderation queue (?status=open|hidden|restored|deleted|all, ?kind=, ?hidden=)
+// @access  Private/Admin
+router.get('/', permit('moderation:review'), async (req, res) => {
+  try {
+    const { status = 'open', kind, hidden } = req.query;
+    const filter = scopeFilter(req.user);
+
+    if (status !== 'all') {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of ${STATUSES.join(', ')}, all` });
+      }
+      filter.status = status;
+    }
+    if (kind) filter['content.kind'] = kind;
+    if (hidden !== undefined) filter.isContentHidden = hidden === 'true';
+
+    const { page, error } = parsePagination(req.query, {
+      sortable: ModerationCase.SORTABLE_FIELDS,
+      defaultSort: '-lastFlaggedAt'
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await paginate(ModerationCase, filter, page, (query) => query
+      .populate('author', 'name email')
+      .populate('flags.user', 'name'));
+
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/moderation/:id
+// @desc    Get a moderation case with the flagged content
+// @access  Private/Admin
+router.get('/:id', permit('moderation:review'), async (req, res) => {
+  try {
+    const moderationCase = await ModerationCase.findById(req.params.id)
+      .populate('author', 'name email role warnings')
+      .populate('flags.user', 'name')
+      .populate('decisions.by', 'name');
+
+    if (!moderationCase) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+
+    if (!can(req.user, 'moderation:review', moderationCase)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    const item = await loadContent(moderationCase);
+
+    res.json({ ...moderationCase.toJSON(), item });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/moderation/:id/hide
+// @desc    Hide flagged content
+// @access  Private/Admin
+router.put('/:id/hide', [
+  permit('moderation:review'),
+  body('note').optional().trim()
+], async (req, res) => {
+  try {
+    const moderationCase = await ModerationCase.findById(req.params.id);
+
+    if (!moderationCase) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+
+    if (!can(req.user, 'moderation:review', moderationCase)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    if (moderationCase.status === 'deleted' || !(await setContentHidden(moderationCase, true, 'moderator'))) {
+      return res.status(400).json({ message: 'This content has been deleted' });
+    }
+
+    const wasHidden = moderationCase.isContentHidden;
+    moderationCase.status = 'hidden';
+    moderationCase.isContentHidden = true;
+    decide(moderationCase, 'hide', req, req.body.note);
+    await moderationCase.save();
+
+    await audit(req, { action: 'moderation.hide', target: auditTarget(moderationCase), village: moderationCase.village, before: { isHidden: wasHidden }, after: { isHidden: true } });
+
+    // Authors of auto-hidden content were told when it was hidden
+    if (!wasHidden) {
+      await notifyAuthor(moderationCase, req, `Your ${CONTENT[moderationCase.content.kind].label} was hidden by a moderator`, notificationTarget(moderationCase));
+    }
+
+    res.json(moderationCase);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/moderation/:id/restore
+// @desc    Show hidden content again and dismiss its flags
+// @access  Private/Admin
+router.put('/:id/restore', [
+  permit('moderation:review'),
+  body('note').optional().trim()
+], async (req, res) => {
+  try {
+    const moderationCase = await ModerationCase.findById(req.params.id);
+
+    if (!moderationCase) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+
+    if (!can(req.user, 'moderation:review', moderationCase)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    const item = moderationCase.status !== 'deleted' && await loadContent(moderationCase);
+
+    if (!item || !(await setContentHidden(moderationCase, false))) {
+      return res.status(400).json({ message: 'This content has been deleted' });
+    }
+
+    const wasHidden = moderationCase.isContentHidden;
+    moderationCase.status = 'restored';
+    moderationCase.isContentHidden = false;
+    decide(moderationCase, 'restore', req, req.body.note);
+    await moderationCase.save();
+
+    await audit(req, { action: 'moderation.restore', target: auditTarget(moderationCase), village: moderationCase.village, before: { isHidden: wasHidden }, after: { isHidden: false } });
+
+    if (item.isHidden && item.hiddenReason === 'word-filter') {
+      publishRestored(moderationCase.content.kind, item);
+    }
+
+    res.json(moderationCase);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/admin/moderation/:id
+// @desc    Delete flagged content
+// @access  Private/Admin
+router.delete('/:id', [
+  permit('moderation:review'),
+  body('note').optional().trim()
+], async (req, res) => {
+  try {
+    const moderationCase = await ModerationCase.findById(req.params.id);
+
+    if (!moderationCase) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+
+    if (!can(req.user, 'moderation:review', moderationCase)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    if (moderationCase.status === 'deleted') {
+      return res.status(400).json({ message: 'This content has already been deleted' });
+    }
+
+    const item = await loadContent(moderationCase);
+    const { error } = await deleteContent(moderationCase, req.user._id);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    moderationCase.status = 'deleted';
+    moderationCase.isContentHidden = false;
+    decide(moderationCase, 'delete', req, req.body.note);
+    await moderationCase.save();
+
+    await audit(req, { action: 'moderation.delete', target: auditTarget(moderationCase), village: moderationCase.village, before: item && item.toObject(), after: null });
+
+    const { kind } = moderationCase.content;
+    if (item) {
+      await notifyAuthor(
+        moderationCase,
+        req,
+        `Your ${CONTENT[kind].label} was removed by a moderator`,
+        CONTENT[kind].comment ? notificationTarget(moderationCase) : undefined
+      );
+    }
+
+    res.json(moderationCase);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/moderation/:id/warn
+// @desc    Warn the author of flagged content
+// @access  Private/Admin
+router.post('/:id/warn', [
+  permit('moderation:review'),
+  body('message').trim().notEmpty().withMessage('Warning message is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const moderationCase = await ModerationCase.findById(req.params.id);
+
+    if (!moderationCase) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+
+    if (!can(req.user, 'moderation:review', moderationCase)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    const author = moderationCase.author && await User.findByIdAndUpdate(
+      moderationCase.author,
+      { $push: { warnings: { message: req.body.message, case: moderationCase._id, issuedBy: req.user._id } } },
+      { new: true }
+    ).select('name warnings');
+
+    if (!author) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    decide(moderationCase, 'warn', req, req.body.message);
+    await moderationCase.save();
+
+    await audit(req, {
+      action: 'moderation.warn',
+      target: { kind: 'User', id: author._id, label: author.name },
+      village: moderationCase.village,
+      before: null,
+      after: { message: req.body.message, case: moderationCase._id }
+    });
+
+    await notify({
+      recipient: author._id,
+      actor: req.user._id,
+      type: 'moderation-warning',
+      message: `A moderator warned you about your ${CONTENT[moderationCase.content.kind].label}: ${req.body.message}`,
+      target: moderationCase.status === 'deleted' ? undefined : notificationTarget(moderationCase)
+    });
+
+    res.json({ case: moderationCase, warnings: author.warnings.length });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { parsePagination, paginate } = require('../utils/pagination');
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { unread, type } = req.query;
+    const filter = { recipient: req.user._id };
+
+    if (unread === 'true') filter.isRead = false;
+    if (type) filter.type = type;
+
+    const { page, error } = parsePagination(req.query, { sortable: ['createdAt'] });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const [result, unreadCount] = await Promise.all([
+      paginate(Notification, filter, page, (query) => query.populate('actor', 'name')),
+      Notification.countDocuments({ recipient: req.user._id, isRead: false })
+    ]);
+
+    res.json({ ...result, unreadCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get which notification types the user receives
+// @access  Private
+router.get('/preferences', async (req, res) => {
+  try {
+    const preferences = {};
+    Notification.TYPES.forEach((type) => {
+      preferences[type] = req.user.notificationPreferences.get(type) !== false;
+    });
+
+    res.json(preferences);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Turn notification types on or off, e.g. { "forum-comment": false }
+// @access  Private
+router.put('/preferences', async (req, res) => {
+  try {
+    const unknown = Object.keys(req.body).filter((type) => !Notification.TYPES.includes(type));
+    if (unknown.length) {
+      return res.status(400).json({ message: `Unknown notification types: ${unknown.join(', ')}` });
+    }
+
+    const user = await User.findById(req.user._id);
+    const preferences = {};
+
+    Notification.TYPES.forEach((type) => {
+      if (req.body[type] !== undefined) user.notificationPreferences.set(type, !!req.body[type]);
+      preferences[type] = user.notificationPreferences.get(type) !== false;
+    });
+
+    await user.save();
+
+    res.json(preferences);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.json({ updated: result.modifiedCount, unreadCount: 0 });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
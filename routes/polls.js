@@ -0,0 +1,360 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Poll = require('../models/Poll');
+const Vote = require('../models/Vote');
+const ForumPost = require('../models/ForumPost');
+const Problem = require('../models/Problem');
+const Solution = require('../models/Solution');
+const { auth, optionalAuth, permit, verifiedEmail } = require('../middleware/auth');
+const { can, hasPermission } = require('../utils/policy');
+const { villageFilter } = require('../utils/village');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { CONTENT, isVisible, blockedWord } = require('../utils/moderation');
+const { voteError, ballotError, pollResults } = require('../utils/polls');
+const { audit, snapshot } = require('../utils/audit');
+
+const MAX_OPTIONS = 20;
+
+const TARGET_MODELS = { ForumPost, Problem };
+
+const AUDITED_FIELDS = ['question', 'options', 'opensAt', 'closesAt', 'closedAt', 'target'];
+
+const auditTarget = (poll) => ({ kind: 'Poll', id: poll._id, label: poll.question });
+
+// Authors and admins may add polls to forum posts; only admins to problems
+const canCreatePoll = (user, kind, item) => (
+  kind === 'ForumPost' ? can(user, 'forum:update', item) : can(user, 'poll:create', item)
+);
+
+// Admins may manage any poll of their villages; creators only manage
+// their own polls within limits (see the close and delete routes)
+const isPollAdmin = (user, poll) => hasPermission(user, 'poll:manage') && can(user, 'poll:manage', poll);
+
+// A forum post or problem, or null when it is gone or hidden from `user`
+const findVisible = async (kind, id, user) => {
+  const item = await TARGET_MODELS[kind].findById(id);
+  return item && isVisible(user, kind, item) ? item : null;
+};
+
+// The poll's forum post or problem, or null when it is gone or hidden from `user`
+const visibleTarget = (poll, user) => findVisible(poll.target.kind, poll.target.item, user);
+
+// Ids of the hidden forum posts and problems in `filter` that `user` may not see
+const hiddenTargets = async (filter, user) => {
+  const ids = await Promise.all(Poll.TARGETS.map(async (kind) => {
+    const items = await TARGET_MODELS[kind]
+      .find({ ...filter, isHidden: true })
+      .select(`isHidden village ${CONTENT[kind].authorField}`);
+    return items.filter((item) => !isVisible(user, kind, item)).map((item) => item._id);
+  }));
+  return ids.flat();
+};
+
+// Poll as JSON with its status and the user's own ballot, plus the results
+// when `withResults` is set and they may be shown
+const pollJSON = async (poll, vote, withResults) => {
+  const json = { ...poll.toJSON(), status: poll.statusAt(), myVote: vote ? vote.choices : null };
+
+  if (withResults && poll.resultsVisible()) {
+    json.results = await pollResults(poll);
+  }
+  return json;
+};
+
+// Query filter for ?status=scheduled|open|closed
+const statusFilter = (status, now) => {
+  if (status === 'scheduled') return { closedAt: null, opensAt: { $gt: now } };
+  if (status === 'open') return { closedAt: null, opensAt: { $lte: now }, $or: [{ closesAt: null }, { closesAt: { $gt: now } }] };
+  if (status === 'closed') return { $or: [{ closedAt: { $ne: null } }, { closesAt: { $lte: now } }] };
+  return null;
+};
+
+// @route   GET /api/polls
+// @desc    Get polls of a forum post (?post=) or problem (?problem=), or of a village; ?status= filters
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { post, problem, status } = req.query;
+    let filter;
+
+    if (post || problem) {
+      if (!mongoose.Types.ObjectId.isValid(post || problem)) {
+        return res.status(400).json({ message: 'Invalid target' });
+      }
+
+      const kind = post ? 'ForumPost' : 'Problem';
+      if (!(await findVisible(kind, post || problem, req.user))) {
+        return res.status(404).json({ message: `${post ? 'Post' : 'Problem'} not found` });
+      }
+      filter = { 'target.kind': kind, 'target.item': post || problem };
+    } else {
+      filter = villageFilter(req);
+      if (!filter) {
+        return res.status(400).json({ message: 'Invalid village' });
+      }
+
+      // Polls share the visibility of the post or problem they belong to
+      const hidden = await hiddenTargets(filter, req.user);
+      if (hidden.length) filter['target.item'] = { $nin: hidden };
+    }
+
+    if (status) {
+      const byStatus = statusFilter(status, new Date());
+      if (!byStatus) {
+        return res.status(400).json({ message: 'status must be one of scheduled, open, closed' });
+      }
+      Object.assign(filter, byStatus);
+    }
+
+    const { page, error } = parsePagination(req.query, { sortable: Poll.SORTABLE_FIELDS });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await paginate(Poll, filter, page, (query) => query.populate('createdBy', 'name'));
+
+    const votes = req.user
+      ? await Vote.find({ user: req.user._id, poll: { $in: result.items.map((poll) => poll._id) } })
+      : [];
+    const voteOf = (poll) => votes.find((vote) => vote.poll.equals(poll._id));
+
+    const items = await Promise.all(result.items.map((poll) => pollJSON(poll, voteOf(poll), false)));
+
+    res.json({ ...result, items });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/polls/:id
+// @desc    Get a poll with its results, once they may be shown
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id).populate('createdBy', 'name');
+
+    if (!poll || !(await visibleTarget(poll, req.user))) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const vote = req.user && await Vote.findOne({ poll: poll._id, user: req.user._id });
+
+    res.json(await pollJSON(poll, vote, true));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/polls
+// @desc    Attach a poll to a forum post or problem
+// @access  Private
+router.post('/', [
+  auth,
+  verifiedEmail,
+  body('target.kind').isIn(Poll.TARGETS).withMessage(`Target kind must be one of ${Poll.TARGETS.join(', ')}`),
+  body('target.id').isMongoId().withMessage('Invalid target'),
+  body('question').trim().notEmpty().withMessage('Question is required'),
+  body('options').isArray({ min: 2, max: MAX_OPTIONS }).withMessage(`A poll needs between 2 and ${MAX_OPTIONS} options`),
+  body('options.*.text').trim().notEmpty().withMessage('Every option needs text'),
+  body('options.*.solution').optional().isMongoId().withMessage('Invalid solution'),
+  body('multipleChoice').optional().isBoolean().toBoolean(),
+  body('maxChoices').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('maxChoices must be a positive number').toInt(),
+  body('opensAt').optional().isISO8601().withMessage('opensAt must be a date').toDate(),
+  body('closesAt').optional({ values: 'null' }).isISO8601().withMessage('closesAt must be a date').toDate(),
+  body('villageOnly').optional().isBoolean().toBoolean(),
+  body('isAnonymous').optional().isBoolean().toBoolean(),
+  body('resultsVisibility').optional().isIn(Poll.RESULTS_VISIBILITY).withMessage(`resultsVisibility must be one of ${Poll.RESULTS_VISIBILITY.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { target, question, options, multipleChoice, maxChoices, opensAt, closesAt, villageOnly, isAnonymous, resultsVisibility } = req.body;
+
+    const item = await TARGET_MODELS[target.kind].findById(target.id);
+    if (!item || !isVisible(req.user, target.kind, item)) {
+      return res.status(404).json({ message: `${target.kind === 'Problem' ? 'Problem' : 'Post'} not found` });
+    }
+
+    if (!canCreatePoll(req.user, target.kind, item)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (closesAt && closesAt <= (opensAt || new Date())) {
+      return res.status(400).json({ message: 'The poll must close after it opens' });
+    }
+
+    if (maxChoices && !multipleChoice) {
+      return res.status(400).json({ message: 'maxChoices only applies to multiple-choice polls' });
+    }
+
+    // Polls cannot be held back for review, so the word filter always rejects
+    if (blockedWord(question, ...options.map((option) => option.text))) {
+      return res.status(400).json({ message: 'Please remove inappropriate language and try again' });
+    }
+
+    if (villageOnly && !item.village) {
+      return res.status(400).json({ message: `This ${target.kind === 'Problem' ? 'problem' : 'post'} has no village to restrict voting to` });
+    }
+
+    // Solution options must be solutions proposed for this problem
+    const solutions = options.filter((option) => option.solution).map((option) => option.solution);
+    if (solutions.length) {
+      const matching = target.kind === 'Problem'
+        ? await Solution.countDocuments({ _id: { $in: solutions }, problem: item._id })
+        : 0;
+
+      if (matching !== new Set(solutions).size) {
+        return res.status(400).json({ message: 'Solution options must be solutions to this problem' });
+      }
+    }
+
+    const poll = await Poll.create({
+      target: { kind: target.kind, item: item._id },
+      village: item.village,
+      question,
+      options: options.map(({ text, solution }) => ({ text, solution })),
+      multipleChoice,
+      maxChoices,
+      opensAt,
+      closesAt,
+      villageOnly,
+      isAnonymous,
+      resultsVisibility,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json(await pollJSON(poll, null, true));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/polls/:id/votes
+// @desc    Cast your ballot; it cannot be changed afterwards
+// @access  Private
+router.post('/:id/votes', [
+  auth,
+  permit('poll:vote'),
+  verifiedEmail,
+  body('choices').isArray({ min: 1 }).withMessage('Choose at least one option'),
+  body('choices.*').isMongoId().withMessage('Invalid option')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll || !(await visibleTarget(poll, req.user))) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const ineligible = voteError(req.user, poll);
+    if (ineligible) {
+      return res.status(400).json({ message: ineligible });
+    }
+
+    const invalidBallot = ballotError(poll, req.body.choices);
+    if (invalidBallot) {
+      return res.status(400).json({ message: invalidBallot });
+    }
+
+    let vote;
+    try {
+      vote = await Vote.create({ poll: poll._id, user: req.user._id, choices: req.body.choices });
+    } catch (error) {
+      // The unique index allows a single ballot per user
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'You have already voted in this poll' });
+      }
+      throw error;
+    }
+
+    res.status(201).json(await pollJSON(poll, vote, true));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/polls/:id/close
+// @desc    Close a poll. Only admins may close a poll before its closing time.
+// @access  Private (poll creator and admins)
+router.put('/:id/close', auth, async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (!can(req.user, 'poll:manage', poll)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (poll.statusAt() === 'closed') {
+      return res.status(400).json({ message: 'This poll is already closed' });
+    }
+
+    // Creators could otherwise end the vote early while their option leads
+    if (poll.closesAt && !isPollAdmin(req.user, poll)) {
+      return res.status(403).json({ message: 'Only admins can close a poll before its closing time' });
+    }
+
+    poll.closedAt = new Date();
+    await poll.save();
+    await audit(req, { action: 'poll.close', target: auditTarget(poll), village: poll.village, before: { closedAt: null }, after: { closedAt: poll.closedAt } });
+
+    const vote = await Vote.findOne({ poll: poll._id, user: req.user._id });
+
+    res.json(await pollJSON(poll, vote, true));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/polls/:id
+// @desc    Delete a poll and its ballots. Polls with votes can only be deleted by admins.
+// @access  Private (poll creator and admins)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (!can(req.user, 'poll:manage', poll)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const votes = await Vote.countDocuments({ poll: poll._id });
+
+    if (votes && !isPollAdmin(req.user, poll)) {
+      return res.status(403).json({ message: 'Only admins can delete a poll that has votes' });
+    }
+
+    await Vote.deleteMany({ poll: poll._id });
+    await Poll.findByIdAndDelete(poll._id);
+    await audit(req, { action: 'poll.delete', target: auditTarget(poll), village: poll.village, before: { ...snapshot(poll, AUDITED_FIELDS), votes }, after: null });
+
+    res.json({ message: 'Poll deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,28 +1,68 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const Problem = require('../models/Problem');
 const Solution = require('../models/Solution');
 const User = require('../models/User');
-const { auth, adminAuth } = require('../middleware/auth');
+const ModerationCase = require('../models/ModerationCase');
+const { auth, optionalAuth, permit } = require('../middleware/auth');
+const { can, hasPermission } = require('../utils/policy');
+const { onlyWritableFields } = require('../middleware/writableFields');
+const { villageFilter, targetVillage } = require('../utils/village');
+const { uploadFiles } = require('../middleware/upload');
+const { notify, notifyAdmins } = require('../utils/notifications');
+const { publishProblem } = require('../utils/realtime');
+const { storeUploads, removeAttachments, InvalidUploadError } = require('../utils/attachments');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { MAX_TILE_ZOOM, toPoint, parseNear, parseBBox, tileClusterStages } = require('../utils/geo');
+const { findDuplicates } = require('../utils/duplicates');
+const { rankProblemSolutions, updateShortlist, rankingEntry } = require('../utils/ranking');
+const { assignmentError } = require('../utils/claims');
+const { audit, snapshot, attachmentNames } = require('../utils/audit');
+const { deleteProblem } = require('../utils/deletion');
+const { screenContent } = require('../middleware/wordFilter');
+const { heldFields, holdForReview, flagContent, isVisible } = require('../utils/moderation');
 
-// Optional auth middleware for GET routes
-const optionalAuth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-      const user = await User.findById(decoded.userId).select('-password');
-      if (user) {
-        req.user = user;
-      }
-    }
-    next();
-  } catch (error) {
-    // Continue without user if token is invalid
-    next();
+const AUDITED_FIELDS = ['title', 'description', 'category', 'location', 'geoLocation', 'priority', 'images', 'village', 'status', 'isVerified', 'assignedTo', 'assignees'];
+
+const auditTarget = (problem) => ({ kind: 'Problem', id: problem._id, label: problem.title });
+
+const CATEGORIES = ['infrastructure', 'health', 'education', 'agriculture', 'water', 'electricity', 'transport', 'other'];
+
+// Build the filter shared by the problem list and map cluster routes.
+// Returns `{ filter }`, or `{ error }` when a query parameter is invalid.
+const buildListFilter = (req) => {
+  const { status, category, priority, near, radius, bbox } = req.query;
+  const filter = villageFilter(req);
+
+  if (!filter) return { error: 'Invalid village' };
+
+  // Merged duplicates only remain reachable through their redirect
+  filter.mergedInto = null;
+  filter.isHidden = { $ne: true };
+
+  if (status) filter.status = status;
+  if (category) filter.category = category;
+  if (priority) filter.priority = priority;
+
+  if (near && bbox) return { error: 'Use either near or bbox, not both' };
+  if (near) {
+    filter.geoLocation = parseNear(near, radius);
+    if (!filter.geoLocation) return { error: 'near must be "lat,lng" with a radius in meters' };
+  }
+  if (bbox) {
+    filter.geoLocation = parseBBox(bbox);
+    if (!filter.geoLocation) return { error: 'bbox must be "west,south,east,north"' };
   }
+
+  // Users without problem:view-unverified (volunteers) only see verified problems.
+  // Visitors who are not logged in see all problems.
+  if (req.user && !hasPermission(req.user, 'problem:view-unverified')) {
+    filter.isVerified = true;
+  }
+
+  return { filter };
 };
 
 // @route   GET /api/problems
@@ -30,27 +70,80 @@ const optionalAuth = async (req, res, next) => {
 // @access  Public
 router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { status, category, priority, sort = '-createdAt' } = req.query;
-    const filter = {};
-    
-    if (status) filter.status = status;
-    if (category) filter.category = category;
-    if (priority) filter.priority = priority;
+    const { filter, error } = buildListFilter(req);
+    const { page, error: pageError } = parsePagination(req.query, { sortable: Problem.SORTABLE_FIELDS });
 
-    // If user is a volunteer, only show verified problems
-    // If user is admin, show all problems
-    // If user is villager or not logged in, show all problems (they can see their own unverified ones)
-    if (req.user && req.user.role === 'volunteer') {
-      filter.isVerified = true;
+    if (error || pageError) {
+      return res.status(400).json({ message: error || pageError });
     }
 
-    const problems = await Problem.find(filter)
+    const result = await paginate(Problem, filter, page, (query) => query
+      .select('-statusHistory')
       .populate('reportedBy', 'name email village')
       .populate('assignedTo', 'name email')
-      .sort(sort)
-      .limit(parseInt(req.query.limit) || 50);
+      .populate('village', 'name'));
 
-    res.json(problems);
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/problems/clusters
+// @desc    Get problem counts grouped per map tile
+// @access  Public
+router.get('/clusters', optionalAuth, async (req, res) => {
+  try {
+    const zoom = parseInt(req.query.zoom);
+
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_TILE_ZOOM) {
+      return res.status(400).json({ message: `zoom must be an integer between 0 and ${MAX_TILE_ZOOM}` });
+    }
+
+    const { filter, error } = buildListFilter(req);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Only problems with coordinates can be placed on the map
+    if (!filter.geoLocation) filter['geoLocation.coordinates'] = { $exists: true };
+    // Aggregation pipelines are not cast by mongoose
+    if (filter.village) filter.village = new mongoose.Types.ObjectId(filter.village);
+
+    const clusters = await Problem.aggregate([
+      { $match: filter },
+      ...tileClusterStages('geoLocation', zoom)
+    ]);
+
+    res.json({ zoom, clusters });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/problems/duplicates
+// @desc    Find open problems that look like the report being written
+// @access  Private
+router.get('/duplicates', auth, async (req, res) => {
+  try {
+    const { title, description, category, lat, lng } = req.query;
+
+    if (!title || !CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: 'title and a valid category are required' });
+    }
+
+    const village = targetVillage(req);
+    const point = lat !== undefined || lng !== undefined ? toPoint({ lat, lng }) : null;
+    if ((lat !== undefined || lng !== undefined) && !point) {
+      return res.status(400).json({ message: 'lat and lng must be valid coordinates' });
+    }
+
+    const duplicates = await findDuplicates({ title, description, category, village, geoLocation: point });
+
+    res.json({ duplicates });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -65,21 +158,31 @@ router.get('/:id', optionalAuth, async (req, res) => {
     const problem = await Problem.findById(req.params.id)
       .populate('reportedBy', 'name email village')
       .populate('assignedTo', 'name email')
+      .populate('assignees.user', 'name email role')
+      .populate('village', 'name district state')
       .populate({
         path: 'solutions',
+        match: { isHidden: { $ne: true } },
         populate: { path: 'proposedBy', select: 'name email village' }
       });
 
-    if (!problem) {
+    if (!problem || !isVisible(req.user, 'Problem', problem)) {
       return res.status(404).json({ message: 'Problem not found' });
     }
 
-    // If user is a volunteer, only allow access to verified problems
-    if (req.user && req.user.role === 'volunteer' && !problem.isVerified) {
+    // Merged duplicates redirect to the canonical problem unless ?redirect=false
+    if (problem.mergedInto && req.query.redirect !== 'false') {
+      return res.redirect(301, `${req.baseUrl}/${problem.mergedInto}`);
+    }
+
+    // Volunteers may only access verified problems
+    if (req.user && !hasPermission(req.user, 'problem:view-unverified') && !problem.isVerified) {
       return res.status(403).json({ message: 'This problem is not yet verified' });
     }
 
-    res.json(problem);
+    const ranking = await rankProblemSolutions(problem._id);
+
+    res.json({ ...problem.toJSON(), ranking: ranking.map(rankingEntry) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -87,13 +190,16 @@ router.get('/:id', optionalAuth, async (req, res) => {
 });
 
 // @route   POST /api/problems
-// @desc    Create a new problem
+// @desc    Create a new problem; the response lists likely duplicates
 // @access  Private
 router.post('/', [
   auth,
+  permit('problem:create'),
+  onlyWritableFields('Problem', 'create'),
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('description').trim().notEmpty().withMessage('Description is required'),
-  body('category').isIn(['infrastructure', 'health', 'education', 'agriculture', 'water', 'electricity', 'transport', 'other'])
+  body('category').isIn(CATEGORIES),
+  screenContent('title', 'description')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -101,15 +207,44 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const village = targetVillage(req);
+    if (!village) {
+      return res.status(400).json({ message: 'Please join a village before reporting a problem' });
+    }
+
+    // Coordinates are optional; `location` alone stays a valid text-only location
+    const { coordinates, ...fields } = req.body;
+    const point = toPoint(coordinates);
+    if (coordinates && !point) {
+      return res.status(400).json({ message: 'coordinates must contain a valid lat and lng' });
+    }
+
+    // Every report is checked against open problems. The likely duplicates
+    // come back with the new problem so the client can offer to merge or
+    // upvote instead (see also GET /duplicates).
+    const duplicates = await findDuplicates({
+      title: fields.title,
+      description: fields.description,
+      category: fields.category,
+      village,
+      geoLocation: point
+    });
+
     const problem = new Problem({
-      ...req.body,
-      reportedBy: req.user._id
+      ...fields,
+      village,
+      geoLocation: point || undefined,
+      reportedBy: req.user._id,
+      ...heldFields(req)
     });
 
     await problem.save();
+    await holdForReview(req, 'Problem', problem);
     await problem.populate('reportedBy', 'name email village');
 
-    res.status(201).json(problem);
+    if (!problem.isHidden) publishProblem('problem.created', problem);
+
+    res.status(201).json({ ...problem.toJSON(), duplicates });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -119,21 +254,42 @@ router.post('/', [
 // @route   PUT /api/problems/:id
 // @desc    Update a problem
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', [
+  auth,
+  onlyWritableFields('Problem', 'update')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const problem = await Problem.findById(req.params.id);
     
     if (!problem) {
       return res.status(404).json({ message: 'Problem not found' });
     }
 
-    // Only the reporter or admin can update
-    if (problem.reportedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!can(req.user, 'problem:update', problem)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    Object.assign(problem, req.body);
+    const { coordinates, ...updates } = req.body;
+
+    // `coordinates: null` removes the map location
+    if (coordinates === null) {
+      updates.geoLocation = undefined;
+    } else if (coordinates !== undefined) {
+      updates.geoLocation = toPoint(coordinates);
+      if (!updates.geoLocation) {
+        return res.status(400).json({ message: 'coordinates must contain a valid lat and lng' });
+      }
+    }
+
+    const before = snapshot(problem, AUDITED_FIELDS);
+    Object.assign(problem, updates);
     await problem.save();
+    await audit(req, { action: 'problem.update', target: auditTarget(problem), village: problem.village, before, after: snapshot(problem, AUDITED_FIELDS) });
     await problem.populate('reportedBy', 'name email village');
 
     res.json(problem);
@@ -146,14 +302,18 @@ router.put('/:id', auth, async (req, res) => {
 // @route   POST /api/problems/:id/upvote
 // @desc    Upvote a problem
 // @access  Private
-router.post('/:id/upvote', auth, async (req, res) => {
+router.post('/:id/upvote', auth, permit('problem:upvote'), async (req, res) => {
   try {
     const problem = await Problem.findById(req.params.id);
     
-    if (!problem) {
+    if (!problem || !isVisible(req.user, 'Problem', problem)) {
       return res.status(404).json({ message: 'Problem not found' });
     }
 
+    if (problem.mergedInto) {
+      return res.status(400).json({ message: 'This problem was merged into another problem', mergedInto: problem.mergedInto });
+    }
+
     const upvoteIndex = problem.upvotes.indexOf(req.user._id);
     if (upvoteIndex > -1) {
       problem.upvotes.splice(upvoteIndex, 1);
@@ -169,26 +329,189 @@ router.post('/:id/upvote', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/problems/:id/flag
+// @desc    Flag a problem report for moderation
+// @access  Private
+router.post('/:id/flag', [
+  auth,
+  permit('content:flag'),
+  body('reason').isIn(ModerationCase.FLAG_REASONS).withMessage(`Reason must be one of ${ModerationCase.FLAG_REASONS.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem || !isVisible(req.user, 'Problem', problem)) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    const { error } = await flagContent(req, 'Problem', problem);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.status(201).json({ message: 'Thank you, a moderator will review this problem report' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/problems/:id/attachments
+// @desc    Upload images or documents for a problem
+// @access  Private
+router.post('/:id/attachments', auth, uploadFiles, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!can(req.user, 'problem:attach', problem)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const before = attachmentNames(problem.attachments);
+    const attachments = await storeUploads(req.files, `problems/${problem._id}`, req.user._id);
+    problem.attachments.push(...attachments);
+
+    // Keep `images` in sync for clients that only read image URLs
+    attachments
+      .filter((attachment) => attachment.thumbnailUrl)
+      .forEach((attachment) => problem.images.push(attachment.url));
+    await problem.save();
+    await audit(req, { action: 'problem.attachment.add', target: auditTarget(problem), village: problem.village, before, after: attachmentNames(problem.attachments) });
+
+    res.status(201).json(problem.attachments);
+  } catch (error) {
+    if (error instanceof InvalidUploadError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/problems/:id/attachments/:attachmentId
+// @desc    Delete an uploaded file
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!can(req.user, 'problem:attach', problem)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const attachment = problem.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const before = attachmentNames(problem.attachments);
+    problem.attachments.pull(attachment._id);
+    problem.images.pull(attachment.url);
+    await problem.save();
+    await removeAttachments([attachment]);
+    await audit(req, { action: 'problem.attachment.remove', target: auditTarget(problem), village: problem.village, before, after: attachmentNames(problem.attachments) });
+
+    res.json(problem.attachments);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/problems/:id/status
 // @desc    Update problem status (Admin only)
 // @access  Private/Admin
-router.put('/:id/status', auth, adminAuth, async (req, res) => {
+router.put('/:id/status', [
+  auth,
+  permit('problem:status'),
+  body('assignedTo').optional({ values: 'null' }).isMongoId().withMessage('assignedTo must be a user id')
+], async (req, res) => {
   try {
-    const { status, assignedTo } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, assignedTo, note } = req.body;
     const problem = await Problem.findById(req.params.id);
     
     if (!problem) {
       return res.status(404).json({ message: 'Problem not found' });
     }
 
-    problem.status = status;
-    if (assignedTo) problem.assignedTo = assignedTo;
-    if (status === 'resolved') problem.resolvedAt = new Date();
+    if (!can(req.user, 'problem:status', problem)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    if (!problem.canTransitionTo(status)) {
+      return res.status(400).json({
+        message: `Cannot change status from ${problem.status} to ${status}`,
+        allowed: Problem.STATUS_TRANSITIONS[problem.status]
+      });
+    }
+
+    // Reopening needs an explanation for the timeline
+    if (status === 'open' && !note) {
+      return res.status(400).json({ message: 'A note is required to reopen a problem' });
+    }
+
+    const isNewAssignee = assignedTo && String(problem.assignedTo) !== String(assignedTo);
+
+    // A new lead is checked like in PUT /api/admin/problems/:id/assign
+    if (isNewAssignee) {
+      if (!can(req.user, 'problem:assign', problem)) {
+        return res.status(403).json({ message: 'Not authorized for this village' });
+      }
+
+      const assignedUser = await User.findById(assignedTo);
+      if (!assignedUser) {
+        return res.status(400).json({ message: 'User not found' });
+      }
+
+      const ineligible = assignmentError(assignedUser, problem);
+      if (ineligible) {
+        return res.status(400).json({ message: ineligible });
+      }
+    }
+
+    const before = snapshot(problem, AUDITED_FIELDS);
+
+    problem.transitionTo(status, req.user._id, note);
+    if (isNewAssignee) problem.assign(assignedTo, 'lead', { by: req.user._id });
 
     await problem.save();
+    await audit(req, { action: 'problem.status', target: auditTarget(problem), village: problem.village, before, after: snapshot(problem, AUDITED_FIELDS) });
     await problem.populate('reportedBy', 'name email village');
     await problem.populate('assignedTo', 'name email');
 
+    if (status === 'resolved') publishProblem('problem.resolved', problem);
+
+    if (isNewAssignee) {
+      publishProblem('problem.assigned', problem);
+      await notify({
+        recipient: assignedTo,
+        actor: req.user._id,
+        type: 'problem-assigned',
+        message: `You have been assigned the problem "${problem.title}"`,
+        target: { kind: 'Problem', item: problem._id }
+      });
+    }
+
     res.json(problem);
   } catch (error) {
     console.error(error);
@@ -199,7 +522,7 @@ router.put('/:id/status', auth, adminAuth, async (req, res) => {
 // @route   PUT /api/problems/:id/verify
 // @desc    Verify a problem (Admin only)
 // @access  Private/Admin
-router.put('/:id/verify', auth, adminAuth, async (req, res) => {
+router.put('/:id/verify', auth, permit('problem:verify'), async (req, res) => {
   try {
     const problem = await Problem.findById(req.params.id);
     
@@ -207,10 +530,18 @@ router.put('/:id/verify', auth, adminAuth, async (req, res) => {
       return res.status(404).json({ message: 'Problem not found' });
     }
 
+    if (!can(req.user, 'problem:verify', problem)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    const before = snapshot(problem, ['isVerified']);
     problem.isVerified = true;
     await problem.save();
+    await audit(req, { action: 'problem.verify', target: auditTarget(problem), village: problem.village, before, after: snapshot(problem, ['isVerified']) });
     await problem.populate('reportedBy', 'name email village');
 
+    publishProblem('problem.verified', problem);
+
     res.json(problem);
   } catch (error) {
     console.error(error);
@@ -218,35 +549,419 @@ router.put('/:id/verify', auth, adminAuth, async (req, res) => {
   }
 });
 
-// @route   GET /api/problems/assigned/me
-// @desc    Get problems assigned to current villager
-// @access  Private/Villager
-router.get('/assigned/me', auth, async (req, res) => {
+// @route   PUT /api/problems/:id/merge
+// @desc    Merge a duplicate problem into a canonical one (Admin only)
+// @access  Private/Admin
+router.put('/:id/merge', [
+  auth,
+  permit('problem:merge'),
+  body('into').isMongoId().withMessage('into must be the id of the canonical problem')
+], async (req, res) => {
   try {
-    if (req.user.role !== 'villager') {
-      return res.status(403).json({ message: 'Only villagers can access assigned problems' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const problems = await Problem.find({ assignedTo: req.user._id })
-      .populate('reportedBy', 'name email village')
-      .sort('-createdAt');
+    if (req.params.id === req.body.into) {
+      return res.status(400).json({ message: 'A problem cannot be merged into itself' });
+    }
+
+    const [duplicate, canonical] = await Promise.all([
+      Problem.findById(req.params.id),
+      Problem.findById(req.body.into)
+    ]);
+
+    if (!duplicate || !canonical) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!can(req.user, 'problem:merge', duplicate) || !can(req.user, 'problem:merge', canonical)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    if (duplicate.mergedInto) {
+      return res.status(400).json({ message: 'This problem has already been merged' });
+    }
+    if (canonical.mergedInto) {
+      return res.status(400).json({ message: 'Cannot merge into a problem that was itself merged' });
+    }
+    if (String(duplicate.village) !== String(canonical.village)) {
+      return res.status(400).json({ message: 'Problems must belong to the same village' });
+    }
+    if (duplicate.status !== 'closed' && !duplicate.canTransitionTo('closed', { merge: true })) {
+      return res.status(400).json({ message: 'Problems in progress cannot be merged until they are resolved' });
+    }
+
+    const before = snapshot(duplicate, ['status', 'mergedInto', 'upvotes', 'solutions']);
+
+    // The duplicate's reporter counts as an upvote on the canonical problem
+    const voters = new Set(canonical.upvotes.map(String));
+    [...duplicate.upvotes, duplicate.reportedBy].forEach((userId) => {
+      if (!voters.has(userId.toString()) && !userId.equals(canonical.reportedBy)) {
+        voters.add(userId.toString());
+        canonical.upvotes.push(userId);
+      }
+    });
+
+    await Solution.updateMany({ problem: duplicate._id }, { problem: canonical._id });
+    duplicate.solutions.forEach((solutionId) => {
+      if (!canonical.solutions.some((id) => id.equals(solutionId))) {
+        canonical.solutions.push(solutionId);
+      }
+    });
+
+    duplicate.solutions = [];
+    duplicate.upvotes = [];
+    duplicate.mergedInto = canonical._id;
+    // Merging closes the duplicate
+    if (duplicate.status !== 'closed') {
+      duplicate.transitionTo('closed', req.user._id, `Merged into "${canonical.title}"`);
+    }
 
-    res.json(problems);
+    await canonical.save();
+    await duplicate.save();
+    // The canonical problem gained solutions and upvotes
+    await updateShortlist(canonical._id, req.user._id);
+    await audit(req, {
+      action: 'problem.merge',
+      target: auditTarget(duplicate),
+      village: duplicate.village,
+      before,
+      after: snapshot(duplicate, ['status', 'mergedInto', 'upvotes', 'solutions'])
+    });
+
+    if (!duplicate.reportedBy.equals(canonical.reportedBy)) {
+      await notify({
+        recipient: duplicate.reportedBy,
+        actor: req.user._id,
+        type: 'problem-merged',
+        message: `Your report "${duplicate.title}" was merged into "${canonical.title}"`,
+        target: { kind: 'Problem', item: canonical._id }
+      });
+    }
+
+    publishProblem('problem.merged', duplicate);
+
+    res.json({ merged: duplicate._id, problem: canonical });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   PUT /api/problems/:id/complete
-// @desc    Mark problem as completed by villager
-// @access  Private/Villager
-router.put('/:id/complete', auth, async (req, res) => {
+// @route   GET /api/problems/:id/timeline
+// @desc    Get the status history of a problem
+// @access  Public
+router.get('/:id/timeline', optionalAuth, async (req, res) => {
   try {
-    if (req.user.role !== 'villager') {
-      return res.status(403).json({ message: 'Only villagers can complete problems' });
+    const problem = await Problem.findById(req.params.id)
+      .select('status isVerified isHidden reportedBy village statusHistory')
+      .populate('statusHistory.actor', 'name role');
+
+    if (!problem || !isVisible(req.user, 'Problem', problem)) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    // Volunteers may only access verified problems
+    if (req.user && !hasPermission(req.user, 'problem:view-unverified') && !problem.isVerified) {
+      return res.status(403).json({ message: 'This problem is not yet verified' });
     }
 
+    res.json({
+      problem: problem._id,
+      status: problem.status,
+      timeline: problem.statusHistory
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/problems/:id/claims
+// @desc    Ask to work on a verified problem as lead or helper
+// @access  Private
+router.post('/:id/claims', [
+  auth,
+  permit('problem:claim'),
+  body('role').optional().isIn(Problem.ASSIGNEE_ROLES).withMessage('Role must be lead or helper'),
+  body('message').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!problem.isVerified || !['open', 'in-progress'].includes(problem.status) || problem.mergedInto) {
+      return res.status(400).json({ message: 'Only verified open or in-progress problems can be claimed' });
+    }
+
+    const ineligible = assignmentError(req.user, problem);
+    if (ineligible) {
+      return res.status(403).json({ message: ineligible });
+    }
+
+    if (problem.isAssignee(req.user)) {
+      return res.status(400).json({ message: 'You are already assigned to this problem' });
+    }
+
+    if (problem.claims.some((claim) => claim.status === 'pending' && claim.user.equals(req.user._id))) {
+      return res.status(400).json({ message: 'You already have a pending claim on this problem' });
+    }
+
+    const role = req.body.role || (problem.assignedTo ? 'helper' : 'lead');
+    problem.claims.push({ user: req.user._id, role, message: req.body.message });
+    await problem.save();
+
+    const claim = problem.claims[problem.claims.length - 1];
+
+    await notifyAdmins(problem.village, {
+      actor: req.user._id,
+      type: 'problem-claim',
+      message: `${req.user.name} asked to work on "${problem.title}" as ${role}`,
+      target: { kind: 'Problem', item: problem._id }
+    });
+
+    res.status(201).json(claim);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/problems/:id/claims/:claimId
+// @desc    Approve or deny a claim (Admin only)
+// @access  Private/Admin
+router.put('/:id/claims/:claimId', [
+  auth,
+  permit('problem:assign'),
+  body('decision').isIn(['approve', 'deny']).withMessage('Decision must be approve or deny'),
+  body('role').optional().isIn(Problem.ASSIGNEE_ROLES).withMessage('Role must be lead or helper'),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const problem = await Problem.findById(req.params.id);
+    const claim = problem && problem.claims.id(req.params.claimId);
+
+    if (!claim) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    if (!can(req.user, 'problem:assign', problem)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    if (claim.status !== 'pending') {
+      return res.status(400).json({ message: `Claim is already ${claim.status}` });
+    }
+
+    const { decision, reason } = req.body;
+
+    if (decision === 'approve') {
+      const claimant = await User.findById(claim.user);
+      const ineligible = assignmentError(claimant, problem);
+      if (ineligible) {
+        return res.status(400).json({ message: ineligible });
+      }
+
+      if (problem.status !== 'in-progress') {
+        if (!problem.canTransitionTo('in-progress')) {
+          return res.status(400).json({ message: `Cannot assign a problem that is ${problem.status}` });
+        }
+        problem.transitionTo('in-progress', req.user._id, `Claimed by ${claimant.name}`);
+      }
+
+      if (req.body.role) claim.role = req.body.role;
+      problem.assign(claimant._id, claim.role, { by: req.user._id, source: 'claim' });
+    }
+
+    claim.status = decision === 'approve' ? 'approved' : 'denied';
+    claim.decidedBy = req.user._id;
+    claim.decidedAt = new Date();
+    claim.reason = reason;
+    await problem.save();
+    await audit(req, {
+      action: `problem.claim.${claim.status === 'approved' ? 'approve' : 'deny'}`,
+      target: auditTarget(problem),
+      village: problem.village,
+      before: { claim: claim._id, claimant: claim.user, status: 'pending' },
+      after: { claim: claim._id, claimant: claim.user, status: claim.status, role: claim.role, reason }
+    });
+
+    if (decision === 'approve') publishProblem('problem.assigned', problem);
+
+    await notify({
+      recipient: claim.user,
+      actor: req.user._id,
+      type: decision === 'approve' ? 'problem-assigned' : 'problem-claim',
+      message: decision === 'approve'
+        ? `Your claim on "${problem.title}" was approved; you are the ${claim.role}`
+        : `Your claim on "${problem.title}" was denied${reason ? `: ${reason}` : ''}`,
+      target: { kind: 'Problem', item: problem._id }
+    });
+
+    res.json(claim);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/problems/:id/claims/:claimId
+// @desc    Withdraw your own pending claim
+// @access  Private
+router.delete('/:id/claims/:claimId', auth, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+    const claim = problem && problem.claims.id(req.params.claimId);
+
+    if (!claim) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    if (!claim.user.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (claim.status !== 'pending') {
+      return res.status(400).json({ message: `Claim is already ${claim.status}` });
+    }
+
+    claim.status = 'withdrawn';
+    claim.decidedAt = new Date();
+    await problem.save();
+
+    res.json(claim);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/problems/:id/assignees/:userId
+// @desc    Step down from a problem, or remove an assignee (Admin)
+// @access  Private
+router.delete('/:id/assignees/:userId', auth, async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !can(req.user, 'problem:assign', problem)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!problem.isAssignee(req.params.userId)) {
+      return res.status(404).json({ message: 'User is not assigned to this problem' });
+    }
+
+    const before = snapshot(problem, ['assignedTo', 'assignees']);
+    problem.unassign(req.params.userId);
+    await problem.save();
+    if (!isSelf) {
+      await audit(req, { action: 'problem.unassign', target: auditTarget(problem), village: problem.village, before, after: snapshot(problem, ['assignedTo', 'assignees']) });
+    }
+    await problem.populate('assignees.user', 'name email');
+
+    publishProblem('problem.assigned', problem);
+
+    if (!problem.assignees.length) {
+      await notifyAdmins(problem.village, {
+        actor: req.user._id,
+        type: 'problem-claim',
+        message: `"${problem.title}" has no assignees left`,
+        target: { kind: 'Problem', item: problem._id }
+      });
+    }
+
+    res.json(problem.assignees);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/problems/:id/progress
+// @desc    Post a progress update on a problem you are assigned to
+// @access  Private
+router.post('/:id/progress', [
+  auth,
+  body('note').trim().notEmpty().withMessage('Note is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    if (!problem.isAssignee(req.user)) {
+      return res.status(403).json({ message: 'This problem is not assigned to you' });
+    }
+
+    // Activity keeps a claimed assignment from being released
+    const assignee = problem.assignees.find((entry) => entry.user.equals(req.user._id));
+    if (assignee) assignee.lastActiveAt = new Date();
+
+    problem.progressUpdates.push({ user: req.user._id, note: req.body.note });
+    await problem.save();
+
+    res.status(201).json(problem.progressUpdates[problem.progressUpdates.length - 1]);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/problems/assigned/me
+// @desc    Get problems assigned to the current villager or volunteer
+// @access  Private
+router.get('/assigned/me', auth, permit('problem:complete'), async (req, res) => {
+  try {
+    const { page, error } = parsePagination(req.query, { sortable: Problem.SORTABLE_FIELDS });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const mine = { $or: [{ 'assignees.user': req.user._id }, { assignedTo: req.user._id }] };
+    const result = await paginate(Problem, mine, page, (query) => query
+      .select('-statusHistory')
+      .populate('reportedBy', 'name email village'));
+
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/problems/:id/complete
+// @desc    Mark problem as completed by one of its assignees
+// @access  Private
+router.put('/:id/complete', auth, permit('problem:complete'), async (req, res) => {
+  try {
     const { completionMessage } = req.body;
     const problem = await Problem.findById(req.params.id);
     
@@ -254,19 +969,23 @@ router.put('/:id/complete', auth, async (req, res) => {
       return res.status(404).json({ message: 'Problem not found' });
     }
 
-    // Check if problem is assigned to this villager
-    if (problem.assignedTo.toString() !== req.user._id.toString()) {
+    if (!problem.isAssignee(req.user)) {
       return res.status(403).json({ message: 'This problem is not assigned to you' });
     }
 
+    if (!problem.canTransitionTo('resolved')) {
+      return res.status(400).json({ message: `Cannot complete a problem that is ${problem.status}` });
+    }
+
     problem.isCompletedByVillager = true;
     problem.completionMessage = completionMessage || '';
-    problem.status = 'resolved';
-    problem.resolvedAt = new Date();
+    problem.transitionTo('resolved', req.user._id, completionMessage);
     await problem.save();
     await problem.populate('reportedBy', 'name email village');
     await problem.populate('assignedTo', 'name email village');
 
+    publishProblem('problem.resolved', problem);
+
     res.json(problem);
   } catch (error) {
     console.error(error);
@@ -277,7 +996,7 @@ router.put('/:id/complete', auth, async (req, res) => {
 // @route   PUT /api/problems/:id/verify-completion
 // @desc    Admin verifies villager's completion and makes it visible to village
 // @access  Private/Admin
-router.put('/:id/verify-completion', auth, adminAuth, async (req, res) => {
+router.put('/:id/verify-completion', auth, permit('problem:verify'), async (req, res) => {
   try {
     const problem = await Problem.findById(req.params.id);
     
@@ -285,13 +1004,18 @@ router.put('/:id/verify-completion', auth, adminAuth, async (req, res) => {
       return res.status(404).json({ message: 'Problem not found' });
     }
 
+    if (!can(req.user, 'problem:verify', problem)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
     if (!problem.isCompletedByVillager) {
       return res.status(400).json({ message: 'Problem has not been completed by villager yet' });
     }
 
+    const before = snapshot(problem, ['isVerified']);
     problem.isVerified = true;
-    problem.status = 'resolved';
     await problem.save();
+    await audit(req, { action: 'problem.verify-completion', target: auditTarget(problem), village: problem.village, before, after: snapshot(problem, ['isVerified']) });
     await problem.populate('reportedBy', 'name email village');
     await problem.populate('assignedTo', 'name email village');
 
@@ -305,7 +1029,7 @@ router.put('/:id/verify-completion', auth, adminAuth, async (req, res) => {
 // @route   DELETE /api/problems/:id
 // @desc    Delete a problem
 // @access  Private/Admin
-router.delete('/:id', auth, adminAuth, async (req, res) => {
+router.delete('/:id', auth, permit('problem:delete'), async (req, res) => {
   try {
     const problem = await Problem.findById(req.params.id);
     
@@ -313,9 +1037,27 @@ router.delete('/:id', auth, adminAuth, async (req, res) => {
       return res.status(404).json({ message: 'Problem not found' });
     }
 
-    // Delete associated solutions
-    await Solution.deleteMany({ problem: problem._id });
-    await Problem.findByIdAndDelete(req.params.id);
+    if (!can(req.user, 'problem:delete', problem)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    // Deletes the problem's solutions and all uploaded files too
+    const { solutions, error } = await deleteProblem(problem);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await audit(req, {
+      action: 'problem.delete',
+      target: auditTarget(problem),
+      village: problem.village,
+      before: {
+        ...snapshot(problem, ['reportedBy', ...AUDITED_FIELDS]),
+        solutions
+      },
+      after: null
+    });
 
     res.json({ message: 'Problem deleted successfully' });
   } catch (error) {
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const Problem = require('../models/Problem');
+const Solution = require('../models/Solution');
+const ForumPost = require('../models/ForumPost');
+const { optionalAuth } = require('../middleware/auth');
+const { villageFilter } = require('../utils/village');
+const { hasPermission } = require('../utils/policy');
+const { searchTerms, highlight } = require('../utils/search');
+
+const TYPES = ['problem', 'solution', 'forum'];
+const MAX_LIMIT = 50;
+
+// @route   GET /api/search
+// @desc    Full-text search across problems, solutions and forum posts.
+//          ?q=<text>&type=problem,solution,forum&limit=20
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (!q) {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+
+    const types = req.query.type ? String(req.query.type).split(',') : TYPES;
+    if (types.some((type) => !TYPES.includes(type))) {
+      return res.status(400).json({ message: `type must be one of ${TYPES.join(', ')}` });
+    }
+
+    const filter = villageFilter(req);
+    if (!filter) {
+      return res.status(400).json({ message: 'Invalid village' });
+    }
+
+    const limit = Math.max(Math.min(parseInt(req.query.limit) || 20, MAX_LIMIT), 1);
+    const textFilter = { ...filter, isHidden: { $ne: true }, $text: { $search: q } };
+    const score = { score: { $meta: 'textScore' } };
+    // Volunteers only see verified problems, and solutions to them
+    const verifiedOnly = !!req.user && !hasPermission(req.user, 'problem:view-unverified');
+
+    const search = (Model, extra = {}) => Model.find({ ...textFilter, ...extra }, score)
+      .sort(score)
+      .limit(limit)
+      .lean();
+
+    const [problems, solutions, posts] = await Promise.all([
+      // Merged duplicates are only reachable through their canonical problem
+      types.includes('problem') ? search(Problem, { mergedInto: null, ...(verifiedOnly ? { isVerified: true } : {}) }) : [],
+      types.includes('solution') ? search(Solution).populate('problem', 'title isVerified') : [],
+      types.includes('forum') ? search(ForumPost) : []
+    ]);
+
+    const terms = searchTerms(q);
+    const results = [
+      ...problems.map((problem) => ({
+        type: 'problem',
+        id: problem._id,
+        title: problem.title,
+        snippet: highlight(problem.description, terms),
+        score: problem.score,
+        status: problem.status,
+        category: problem.category,
+        createdAt: problem.createdAt
+      })),
+      ...solutions
+        .filter((solution) => !verifiedOnly || (solution.problem && solution.problem.isVerified))
+        .map((solution) => ({
+          type: 'solution',
+          id: solution._id,
+          title: solution.title,
+          snippet: highlight(solution.description, terms),
+          score: solution.score,
+          status: solution.status,
+          problem: solution.problem && { id: solution.problem._id, title: solution.problem.title },
+          createdAt: solution.createdAt
+        })),
+      ...posts.map((post) => ({
+        type: 'forum',
+        id: post._id,
+        title: post.title,
+        snippet: highlight(post.content, terms),
+        score: post.score,
+        category: post.category,
+        tags: post.tags,
+        createdAt: post.createdAt
+      }))
+    ]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map((result) => ({ ...result, titleHighlighted: highlight(result.title, terms) }));
+
+    res.json({ query: q, total: results.length, results });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,28 +1,92 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Solution = require('../models/Solution');
 const Problem = require('../models/Problem');
-const { auth, adminAuth } = require('../middleware/auth');
+const Pledge = require('../models/Pledge');
+const Expense = require('../models/Expense');
+const ModerationCase = require('../models/ModerationCase');
+const { auth, optionalAuth, permit, verifiedEmail } = require('../middleware/auth');
+const { can } = require('../utils/policy');
+const { fundingBySolution, fundingProgress } = require('../utils/funding');
+const { onlyWritableFields } = require('../middleware/writableFields');
+const { villageFilter } = require('../utils/village');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { commentThread } = require('../utils/comments');
+const { uploadFiles } = require('../middleware/upload');
+const { notify } = require('../utils/notifications');
+const { publishSolution } = require('../utils/realtime');
+const { storeUploads, removeAttachments, InvalidUploadError } = require('../utils/attachments');
+const { shortlistThreshold, rankProblemSolutions, updateShortlist, rankingEntry } = require('../utils/ranking');
+const { audit, snapshot, attachmentNames } = require('../utils/audit');
+const { deleteSolution } = require('../utils/deletion');
+const { screenContent } = require('../middleware/wordFilter');
+const { heldFields, holdForReview, flagContent, closeCases, isVisible, withVisibleComments } = require('../utils/moderation');
+
+const AUDITED_FIELDS = ['title', 'description', 'estimatedCost', 'estimatedTime', 'status', 'implementedAt'];
+
+const auditTarget = (solution) => ({ kind: 'Solution', id: solution._id, label: solution.title });
+
+// Only solutions that are going ahead collect money
+const FUNDABLE_STATUSES = ['approved', 'implemented'];
+
+// Pledges as shown to `user`: anonymous donors stay hidden from everyone
+// but the donor and funding admins, and donor contacts from all but admins
+const visiblePledge = (pledge, user, solution) => {
+  const json = pledge.toJSON();
+  const isAdmin = can(user, 'solution:funding', solution);
+  const isDonor = user && pledge.pledgedBy && pledge.pledgedBy._id.equals(user._id);
+
+  if (pledge.isAnonymous && !isAdmin && !isDonor) {
+    delete json.pledgedBy;
+    delete json.donor;
+  } else if (json.donor && !isAdmin) {
+    delete json.donor.contact;
+  }
+  if (!isAdmin) delete json.recordedBy;
+  return json;
+};
 
 // @route   GET /api/solutions
 // @desc    Get all solutions
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { problem, status, sort = '-createdAt' } = req.query;
-    const filter = {};
+    const { problem, status, rank } = req.query;
+
+    // ?rank=true lists a problem's solutions by community ranking instead
+    if (rank === 'true') {
+      if (!problem || !mongoose.Types.ObjectId.isValid(problem)) {
+        return res.status(400).json({ message: 'rank=true requires a valid problem' });
+      }
+
+      const ranking = await rankProblemSolutions(problem);
+      return res.json({ items: ranking.map(rankingEntry), shortlistThreshold });
+    }
+
+    // Solutions of a specific problem are listed regardless of village
+    const filter = problem ? {} : villageFilter(req);
+
+    if (!filter) {
+      return res.status(400).json({ message: 'Invalid village' });
+    }
     
     if (problem) filter.problem = problem;
     if (status) filter.status = status;
+    filter.isHidden = { $ne: true };
+
+    const { page, error } = parsePagination(req.query, { sortable: Solution.SORTABLE_FIELDS });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-    const solutions = await Solution.find(filter)
+    const result = await paginate(Solution, filter, page, (query) => query
       .populate('problem', 'title description status')
-      .populate('proposedBy', 'name email village')
-      .sort(sort)
-      .limit(parseInt(req.query.limit) || 50);
+      .populate('proposedBy', 'name email village'));
 
-    res.json(solutions);
+    res.json(result);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -32,18 +96,18 @@ router.get('/', async (req, res) => {
 // @route   GET /api/solutions/:id
 // @desc    Get single solution
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const solution = await Solution.findById(req.params.id)
       .populate('problem', 'title description status category location')
       .populate('proposedBy', 'name email village')
       .populate('comments.user', 'name email');
 
-    if (!solution) {
+    if (!solution || !isVisible(req.user, 'Solution', solution)) {
       return res.status(404).json({ message: 'Solution not found' });
     }
 
-    res.json(solution);
+    res.json(withVisibleComments(solution, req.user));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -55,9 +119,13 @@ router.get('/:id', async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
+  permit('solution:create'),
+  verifiedEmail,
+  onlyWritableFields('Solution', 'create'),
   body('problem').notEmpty().withMessage('Problem ID is required'),
   body('title').trim().notEmpty().withMessage('Title is required'),
-  body('description').trim().notEmpty().withMessage('Description is required')
+  body('description').trim().notEmpty().withMessage('Description is required'),
+  screenContent('title', 'description')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -72,18 +140,24 @@ router.post('/', [
 
     const solution = new Solution({
       ...req.body,
-      proposedBy: req.user._id
+      village: problem.village,
+      proposedBy: req.user._id,
+      ...heldFields(req)
     });
 
     await solution.save();
+    await holdForReview(req, 'Solution', solution);
     
     // Add solution to problem
     problem.solutions.push(solution._id);
     await problem.save();
+    await updateShortlist(problem._id, req.user._id);
 
     await solution.populate('problem', 'title description');
     await solution.populate('proposedBy', 'name email village');
 
+    if (!solution.isHidden) publishSolution('solution.proposed', solution);
+
     res.status(201).json(solution);
   } catch (error) {
     console.error(error);
@@ -94,21 +168,33 @@ router.post('/', [
 // @route   PUT /api/solutions/:id
 // @desc    Update a solution
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', [
+  auth,
+  onlyWritableFields('Solution', 'update')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const solution = await Solution.findById(req.params.id);
     
     if (!solution) {
       return res.status(404).json({ message: 'Solution not found' });
     }
 
-    // Only the proposer or admin can update
-    if (solution.proposedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!can(req.user, 'solution:update', solution)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
+    const before = snapshot(solution, AUDITED_FIELDS);
     Object.assign(solution, req.body);
+    // The cost estimate is one of the ranking signals
+    const costChanged = solution.isModified('estimatedCost');
     await solution.save();
+    await audit(req, { action: 'solution.update', target: auditTarget(solution), village: solution.village, before, after: snapshot(solution, AUDITED_FIELDS) });
+    if (costChanged) await updateShortlist(solution.problem, req.user._id);
     await solution.populate('problem', 'title description');
     await solution.populate('proposedBy', 'name email village');
 
@@ -122,11 +208,11 @@ router.put('/:id', auth, async (req, res) => {
 // @route   POST /api/solutions/:id/upvote
 // @desc    Upvote a solution
 // @access  Private
-router.post('/:id/upvote', auth, async (req, res) => {
+router.post('/:id/upvote', auth, permit('solution:upvote'), async (req, res) => {
   try {
     const solution = await Solution.findById(req.params.id);
     
-    if (!solution) {
+    if (!solution || !isVisible(req.user, 'Solution', solution)) {
       return res.status(404).json({ message: 'Solution not found' });
     }
 
@@ -138,7 +224,42 @@ router.post('/:id/upvote', auth, async (req, res) => {
     }
 
     await solution.save();
-    res.json(solution);
+    await updateShortlist(solution.problem, req.user._id);
+    res.json(withVisibleComments(solution, req.user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/solutions/:id/comments
+// @desc    Get a page of comments on a solution; ?parent=<commentId> gets the replies to a comment
+// @access  Public
+router.get('/:id/comments', optionalAuth, async (req, res) => {
+  try {
+    const { parent } = req.query;
+
+    if (parent && !mongoose.Types.ObjectId.isValid(parent)) {
+      return res.status(400).json({ message: 'Invalid parent comment' });
+    }
+
+    const { page, error } = parsePagination(req.query, { sortable: ['createdAt'], defaultSort: 'createdAt' });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const solution = await Solution.findById(req.params.id).populate('comments.user', 'name email');
+
+    if (!solution || !isVisible(req.user, 'Solution', solution)) {
+      return res.status(404).json({ message: 'Solution not found' });
+    }
+
+    if (parent && !solution.comments.id(parent)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    res.json(commentThread(solution, req.user, parent, page));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -146,11 +267,15 @@ router.post('/:id/upvote', auth, async (req, res) => {
 });
 
 // @route   POST /api/solutions/:id/comments
-// @desc    Add comment to solution
+// @desc    Add comment to solution, or reply to a comment with `parent`
 // @access  Private
 router.post('/:id/comments', [
   auth,
-  body('text').trim().notEmpty().withMessage('Comment text is required')
+  permit('solution:comment'),
+  verifiedEmail,
+  body('text').trim().notEmpty().withMessage('Comment text is required'),
+  body('parent').optional().isMongoId().withMessage('Invalid parent comment'),
+  screenContent('text')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -160,29 +285,514 @@ router.post('/:id/comments', [
 
     const solution = await Solution.findById(req.params.id);
     
-    if (!solution) {
+    if (!solution || !isVisible(req.user, 'Solution', solution)) {
       return res.status(404).json({ message: 'Solution not found' });
     }
 
+    const parent = req.body.parent && solution.comments.id(req.body.parent);
+    if (req.body.parent) {
+      if (!parent || !isVisible(req.user, 'SolutionComment', parent, solution)) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      if (parent.isDeleted) {
+        return res.status(400).json({ message: 'You cannot reply to a deleted comment' });
+      }
+    }
+
     solution.comments.push({
       user: req.user._id,
-      text: req.body.text
+      text: req.body.text,
+      parent: parent ? parent._id : undefined,
+      ...heldFields(req)
     });
 
     await solution.save();
+    const comment = solution.comments[solution.comments.length - 1];
+    await holdForReview(req, 'SolutionComment', comment, solution);
     await solution.populate('comments.user', 'name email');
 
-    res.json(solution);
+    if (!comment.isHidden) {
+      await notify({
+        recipient: solution.proposedBy,
+        actor: req.user._id,
+        type: 'solution-comment',
+        message: `${req.user.name} commented on your solution "${solution.title}"`,
+        target: { kind: 'Solution', item: solution._id }
+      });
+
+      if (parent && parent.user && !parent.user.equals(solution.proposedBy)) {
+        await notify({
+          recipient: parent.user,
+          actor: req.user._id,
+          type: 'solution-comment',
+          message: `${req.user.name} replied to your comment on "${solution.title}"`,
+          target: { kind: 'Solution', item: solution._id }
+        });
+      }
+    }
+
+    res.json(withVisibleComments(solution, req.user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/solutions/:id/comments/:commentId
+// @desc    Edit your own comment
+// @access  Private
+router.put('/:id/comments/:commentId', [
+  auth,
+  body('text').trim().notEmpty().withMessage('Comment text is required'),
+  screenContent('text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const solution = await Solution.findById(req.params.id);
+
+    if (!solution || !isVisible(req.user, 'Solution', solution)) {
+      return res.status(404).json({ message: 'Solution not found' });
+    }
+
+    const comment = solution.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!comment.user || !comment.user.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    comment.text = req.body.text;
+    comment.editedAt = new Date();
+    Object.assign(comment, heldFields(req));
+
+    await solution.save();
+    await holdForReview(req, 'SolutionComment', comment, solution);
+    await solution.populate('comments.user', 'name email');
+
+    res.json(withVisibleComments(solution, req.user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/solutions/:id/comments/:commentId
+// @desc    Delete a comment, leaving a tombstone so its replies stay in place
+// @access  Private
+router.delete('/:id/comments/:commentId', auth, async (req, res) => {
+  try {
+    const solution = await Solution.findById(req.params.id);
+
+    if (!solution) {
+      return res.status(404).json({ message: 'Solution not found' });
+    }
+
+    const comment = solution.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const isAuthor = !!comment.user && comment.user.equals(req.user._id);
+    if (!isAuthor && !can(req.user, 'comment:delete', solution)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const before = { comment: comment._id, user: comment.user, text: comment.text };
+    comment.tombstone(req.user._id);
+    await solution.save();
+    await closeCases([comment._id]);
+    if (!isAuthor) {
+      await audit(req, { action: 'solution.comment.delete', target: auditTarget(solution), village: solution.village, before, after: null });
+    }
+    await solution.populate('comments.user', 'name email');
+
+    res.json(withVisibleComments(solution, req.user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/solutions/:id/flag
+// @desc    Flag a solution for moderation
+// @access  Private
+router.post('/:id/flag', [
+  auth,
+  permit('content:flag'),
+  body('reason').isIn(ModerationCase.FLAG_REASONS).withMessage(`Reason must be one of ${ModerationCase.FLAG_REASONS.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const solution = await Solution.findById(req.params.id);
+
+    if (!solution || !isVisible(req.user, 'Solution', solution)) {
+      return res.status(404).json({ message: 'Solution not found' });
+    }
+
+    const { error } = await flagContent(req, 'Solution', solution);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.status(201).json({ message: 'Thank you, a moderator will review this solution' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/solutions/:id/comments/:commentId/flag
+// @desc    Flag a comment on a solution for moderation
+// @access  Private
+router.post('/:id/comments/:commentId/flag', [
+  auth,
+  permit('content:flag'),
+  body('reason').isIn(ModerationCase.FLAG_REASONS).withMessage(`Reason must be one of ${ModerationCase.FLAG_REASONS.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const solution = await Solution.findById(req.params.id);
+
+    if (!solution || !isVisible(req.user, 'Solution', solution)) {
+      return res.status(404).json({ message: 'Solution not found' });
+    }
+
+    const comment = solution.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted || !isVisible(req.user, 'SolutionComment', comment, solution)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const { error } = await flagContent(req, 'SolutionComment', comment, solution);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.status(201).json({ message: 'Thank you, a moderator will review this comment' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/solutions/:id/evidence
+// @desc    Upload implementation evidence for a solution
+// @access  Private
+router.post('/:id/evidence', auth, uploadFiles, async (req, res) => {
+  try {
+    const solution = await Solution.findById(req.params.id);
+
+    if (!solution) {
+      return res.status(404).json({ message: 'Solution not found' });
+    }
+
+    if (!can(req.user, 'solution:attach', solution)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const before = attachmentNames(solution.evidence);
+    const attachments = await storeUploads(req.files, `solutions/${solution._id}`, req.user._id);
+    solution.evidence.push(...attachments);
+    await solution.save();
+    await audit(req, { action: 'solution.evidence.add', target: auditTarget(solution), village: solution.village, before, after: attachmentNames(solution.evidence) });
+
+    res.status(201).json(solution.evidence);
+  } catch (error) {
+    if (error instanceof InvalidUploadError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/solutions/:id/evidence/:attachmentId
+// @desc    Delete an uploaded file
+// @access  Private
+router.delete('/:id/evidence/:attachmentId', auth, async (req, res) => {
+  try {
+    const solution = await Solution.findById(req.params.id);
+
+    if (!solution) {
+      return res.status(404).json({ message: 'Solution not found' });
+    }
+
+    if (!can(req.user, 'solution:attach', solution)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const attachment = solution.evidence.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const before = attachmentNames(solution.evidence);
+    solution.evidence.pull(attachment._id);
+    await solution.save();
+    await removeAttachments([attachment]);
+    await audit(req, { action: 'solution.evidence.remove', target: auditTarget(solution), village: solution.village, before, after: attachmentNames(solution.evidence) });
+
+    res.json(solution.evidence);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/solutions/:id/funding
+// @desc    Get pledges, expenses and funding progress of a solution
+// @access  Public
+router.get('/:id/funding', optionalAuth, async (req, res) => {
+  try {
+    const solution = await Solution.findById(req.params.id).select('title status estimatedCost village proposedBy');
+
+    if (!solution) {
+      return res.status(404).json({ message: 'Solution not found' });
+    }
+
+    const [totals, pledges, expenses] = await Promise.all([
+      fundingBySolution({ solution: solution._id }),
+      Pledge.find({ solution: solution._id, status: { $ne: 'cancelled' } })
+        .sort('-createdAt')
+        .populate('pledgedBy', 'name'),
+      Expense.find({ solution: solution._id })
+        .sort('-spentAt')
+        .populate('recordedBy', 'name')
+    ]);
+
+    res.json({
+      solution: { _id: solution._id, title: solution.title, status: solution.status },
+      funding: fundingProgress(solution.estimatedCost, totals.get(solution._id.toString())),
+      pledges: pledges.map((pledge) => visiblePledge(pledge, req.user, solution)),
+      expenses
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/solutions/:id/pledges
+// @desc    Pledge money towards an approved solution
+// @access  Private
+router.post('/:id/pledges', [
+  auth,
+  permit('solution:pledge'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number').toFloat(),
+  body('note').optional().trim(),
+  body('isAnonymous').optional().isBoolean().toBoolean(),
+  body('donor').optional().isObject(),
+  body('donor.name').if(body('donor').exists()).trim().notEmpty().withMessage('Donor name is required'),
+  body('status').optional().isIn(['pledged', 'received'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const solution = await Solution.findById(req.params.id);
+
+    if (!solution) {
+      return res.status(404).json({ message: 'Solution not found' });
+    }
+
+    if (!FUNDABLE_STATUSES.includes(solution.status)) {
+      return res.status(400).json({ message: 'Only approved solutions accept pledges' });
+    }
+
+    const { amount, note, isAnonymous, donor, status = 'pledged' } = req.body;
+    const pledge = new Pledge({
+      solution: solution._id,
+      village: solution.village,
+      amount,
+      note,
+      isAnonymous,
+      recordedBy: req.user._id
+    });
+
+    // External donors and money already received are recorded by admins
+    if (donor || status === 'received') {
+      if (!can(req.user, 'solution:funding', solution)) {
+        return res.status(403).json({ message: 'Only admins can record donations or received money' });
+      }
+    }
+
+    if (donor) {
+      pledge.donor = { name: donor.name, organization: donor.organization, contact: donor.contact };
+    } else {
+      pledge.pledgedBy = req.user._id;
+    }
+
+    if (status === 'received') {
+      pledge.status = 'received';
+      pledge.receivedAt = new Date();
+    }
+
+    await pledge.save();
+    if (donor || status === 'received') {
+      await audit(req, {
+        action: 'solution.pledge.record',
+        target: auditTarget(solution),
+        village: solution.village,
+        before: null,
+        after: snapshot(pledge, ['_id', 'amount', 'status', 'donor', 'pledgedBy'])
+      });
+    }
+    await pledge.populate('pledgedBy', 'name');
+
+    await notify({
+      recipient: solution.proposedBy,
+      actor: req.user._id,
+      type: 'solution-funding',
+      message: `${pledge.isAnonymous ? 'Someone' : (donor ? donor.name : req.user.name)} pledged ${amount} towards your solution "${solution.title}"`,
+      target: { kind: 'Solution', item: solution._id }
+    });
+
+    res.status(201).json(pledge);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/solutions/:id/pledges/:pledgeId
+// @desc    Mark a pledge as received (Admin) or cancel it
+// @access  Private
+router.put('/:id/pledges/:pledgeId', [
+  auth,
+  body('status').isIn(['received', 'cancelled']).withMessage('Status must be received or cancelled')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pledge = await Pledge.findOne({ _id: req.params.pledgeId, solution: req.params.id });
+
+    if (!pledge) {
+      return res.status(404).json({ message: 'Pledge not found' });
+    }
+
+    const { status } = req.body;
+    const allowed = status === 'received'
+      ? can(req.user, 'solution:funding', pledge)
+      : can(req.user, 'pledge:cancel', pledge);
+
+    if (!allowed) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (pledge.status !== 'pledged') {
+      return res.status(400).json({ message: `Pledge is already ${pledge.status}` });
+    }
+
+    pledge.status = status;
+    if (status === 'received') pledge.receivedAt = new Date();
+    await pledge.save();
+    // Donors cancelling their own pledge are not admin actions
+    if (status === 'received' || !(pledge.pledgedBy && pledge.pledgedBy.equals(req.user._id))) {
+      await audit(req, {
+        action: `solution.pledge.${status}`,
+        target: { kind: 'Solution', id: pledge.solution },
+        village: pledge.village,
+        before: { pledge: pledge._id, amount: pledge.amount, status: 'pledged' },
+        after: { pledge: pledge._id, amount: pledge.amount, status }
+      });
+    }
+
+    res.json(pledge);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   POST /api/solutions/:id/expenses
+// @desc    Record money spent on a solution, with its receipt (Admin only)
+// @access  Private/Admin
+router.post('/:id/expenses', [
+  auth,
+  permit('solution:funding'),
+  uploadFiles,
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number').toFloat(),
+  body('description').trim().notEmpty().withMessage('Description is required'),
+  body('receiptReference').trim().notEmpty().withMessage('A receipt reference is required'),
+  body('spentAt').optional().isISO8601().withMessage('spentAt must be a date').toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const solution = await Solution.findById(req.params.id);
+
+    if (!solution) {
+      return res.status(404).json({ message: 'Solution not found' });
+    }
+
+    if (!can(req.user, 'solution:funding', solution)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    if (!FUNDABLE_STATUSES.includes(solution.status)) {
+      return res.status(400).json({ message: 'Expenses can only be recorded for approved solutions' });
+    }
+
+    const { amount, description, receiptReference, spentAt } = req.body;
+    const receipts = await storeUploads(req.files, `solutions/${solution._id}/receipts`, req.user._id);
+
+    const expense = await Expense.create({
+      solution: solution._id,
+      village: solution.village,
+      amount,
+      description,
+      receiptReference,
+      receipts,
+      spentAt,
+      recordedBy: req.user._id
+    });
+    await audit(req, {
+      action: 'solution.expense.record',
+      target: auditTarget(solution),
+      village: solution.village,
+      before: null,
+      after: snapshot(expense, ['_id', 'amount', 'description', 'receiptReference', 'spentAt'])
+    });
+
+    res.status(201).json(expense);
+  } catch (error) {
+    if (error instanceof InvalidUploadError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/solutions/:id/status
 // @desc    Update solution status (Admin only)
 // @access  Private/Admin
-router.put('/:id/status', auth, adminAuth, async (req, res) => {
+router.put('/:id/status', auth, permit('solution:status'), async (req, res) => {
   try {
     const { status } = req.body;
     const solution = await Solution.findById(req.params.id);
@@ -191,13 +801,34 @@ router.put('/:id/status', auth, adminAuth, async (req, res) => {
       return res.status(404).json({ message: 'Solution not found' });
     }
 
+    if (!can(req.user, 'solution:status', solution)) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    const previousStatus = solution.status;
+    const before = snapshot(solution, AUDITED_FIELDS);
+
     solution.status = status;
     if (status === 'implemented') solution.implementedAt = new Date();
 
     await solution.save();
+    await audit(req, { action: 'solution.status', target: auditTarget(solution), village: solution.village, before, after: snapshot(solution, AUDITED_FIELDS) });
+    if (previousStatus !== status) await updateShortlist(solution.problem, req.user._id);
     await solution.populate('problem', 'title description');
     await solution.populate('proposedBy', 'name email village');
 
+    if (previousStatus !== status) {
+      if (status === 'approved') publishSolution('solution.approved', solution);
+
+      await notify({
+        recipient: solution.proposedBy._id,
+        actor: req.user._id,
+        type: 'solution-status',
+        message: `Your solution "${solution.title}" is now ${status}`,
+        target: { kind: 'Solution', item: solution._id }
+      });
+    }
+
     res.json(solution);
   } catch (error) {
     console.error(error);
@@ -216,17 +847,17 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Solution not found' });
     }
 
-    // Only the proposer or admin can delete
-    if (solution.proposedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!can(req.user, 'solution:delete', solution)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    // Remove solution from problem
-    await Problem.findByIdAndUpdate(solution.problem, {
-      $pull: { solutions: solution._id }
-    });
+    const { error } = await deleteSolution(solution, req.user._id);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-    await Solution.findByIdAndDelete(req.params.id);
+    await audit(req, { action: 'solution.delete', target: auditTarget(solution), village: solution.village, before: snapshot(solution, ['problem', 'proposedBy', ...AUDITED_FIELDS]), after: null });
 
     res.json({ message: 'Solution deleted successfully' });
   } catch (error) {
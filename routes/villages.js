@@ -0,0 +1,270 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Village = require('../models/Village');
+const User = require('../models/User');
+const Solution = require('../models/Solution');
+const ForumPost = require('../models/ForumPost');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { auth, permit } = require('../middleware/auth');
+const { can, hasPermission, isVillageScoped } = require('../utils/policy');
+const { emptyTotals, fundingBySolution, fundingProgress } = require('../utils/funding');
+const { calendar } = require('../utils/ical');
+
+const DAY = 24 * 60 * 60 * 1000;
+// The event feed also keeps recent events so calendars do not drop them at once
+const FEED_PAST_DAYS = 30;
+const FEED_MAX_EVENTS = 500;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// @route   GET /api/villages
+// @desc    Get all active villages
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.query.district) filter.district = req.query.district;
+
+    const { page, error } = parsePagination(req.query, { sortable: Village.SORTABLE_FIELDS, defaultSort: 'name' });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await paginate(Village, filter, page);
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/villages/:id
+// @desc    Get single village
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const village = await Village.findById(req.params.id);
+
+    if (!village) {
+      return res.status(404).json({ message: 'Village not found' });
+    }
+
+    res.json(village);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/villages/:id/events.ics
+// @desc    iCalendar feed of the village's events, for subscribing from phone calendars
+// @access  Public
+router.get('/:id/events.ics', async (req, res) => {
+  try {
+    const village = await Village.findById(req.params.id);
+
+    if (!village || !village.isActive) {
+      return res.status(404).json({ message: 'Village not found' });
+    }
+
+    const posts = await ForumPost.find({
+      village: village._id,
+      category: 'event',
+      isHidden: { $ne: true },
+      'event.startsAt': { $gte: new Date(Date.now() - FEED_PAST_DAYS * DAY) }
+    })
+      .select('title content event updatedAt')
+      .sort({ 'event.startsAt': 1 })
+      .limit(FEED_MAX_EVENTS);
+
+    const events = posts.map((post) => ({
+      uid: `forum-${post._id}@village-connect`,
+      start: post.event.startsAt,
+      end: post.event.endsAt,
+      summary: post.title,
+      description: post.content,
+      location: post.event.venue,
+      url: `${frontendUrl()}/forum/${post._id}`,
+      updatedAt: post.updatedAt
+    }));
+
+    res.type('text/calendar; charset=utf-8');
+    res.send(calendar(`${village.name} events`, events));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/villages/:id/budget
+// @desc    Get funding and spending per solution in a village
+// @access  Private (village members and admins)
+router.get('/:id/budget', auth, async (req, res) => {
+  try {
+    const village = await Village.findById(req.params.id);
+
+    if (!village) {
+      return res.status(404).json({ message: 'Village not found' });
+    }
+
+    const isMember = req.user.village && req.user.village.toString() === village._id.toString();
+    if (!isMember && !can(req.user, 'village:budget', { village: village._id })) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    // Optional ?from= and ?to= dates limit pledges and expenses
+    const range = {};
+    for (const key of ['from', 'to']) {
+      if (req.query[key] === undefined) continue;
+      range[key] = new Date(req.query[key]);
+      if (isNaN(range[key])) {
+        return res.status(400).json({ message: `${key} must be a date` });
+      }
+    }
+
+    const [funding, solutions] = await Promise.all([
+      fundingBySolution({ village: village._id }, range),
+      Solution.find({ village: village._id, status: { $in: ['approved', 'implemented'] } })
+        .select('title status estimatedCost problem')
+        .populate('problem', 'title')
+        .sort('-createdAt')
+    ]);
+
+    // Solutions with money records but no longer approved are still listed
+    const listed = new Set(solutions.map((solution) => solution._id.toString()));
+    const others = await Solution.find({ _id: { $in: [...funding.keys()].filter((id) => !listed.has(id)) } })
+      .select('title status estimatedCost problem')
+      .populate('problem', 'title');
+
+    const rows = [...solutions, ...others].map((solution) => ({
+      solution: {
+        _id: solution._id,
+        title: solution.title,
+        status: solution.status,
+        problem: solution.problem
+      },
+      ...fundingProgress(solution.estimatedCost, funding.get(solution._id.toString()))
+    }));
+
+    const sums = rows.reduce((sum, row) => ({
+      pledged: sum.pledged + row.pledged,
+      received: sum.received + row.received,
+      spent: sum.spent + row.spent
+    }), emptyTotals());
+    const estimatedCost = rows.reduce((sum, row) => sum + (row.estimatedCost || 0), 0);
+
+    res.json({
+      village: { _id: village._id, name: village.name },
+      from: range.from,
+      to: range.to,
+      totals: fundingProgress(estimatedCost, sums),
+      solutions: rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/villages
+// @desc    Create a village
+// @access  Private/Admin
+router.post('/', [
+  auth,
+  permit('village:create'),
+  body('name').trim().notEmpty().withMessage('Name is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, district, state, pincode } = req.body;
+
+    const existingVillage = await Village.resolve(name);
+    if (existingVillage) {
+      return res.status(400).json({ message: 'Village already exists with this name' });
+    }
+
+    const village = new Village({ name, district, state, pincode });
+    await village.save();
+
+    res.status(201).json(village);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/villages/:id
+// @desc    Update a village
+// @access  Private/Admin
+router.put('/:id', auth, permit('village:update'), async (req, res) => {
+  try {
+    const village = await Village.findById(req.params.id);
+
+    if (!village) {
+      return res.status(404).json({ message: 'Village not found' });
+    }
+
+    if (!can(req.user, 'village:update', { village: village._id })) {
+      return res.status(403).json({ message: 'Not authorized for this village' });
+    }
+
+    const { name, district, state, pincode, isActive } = req.body;
+    if (name !== undefined) village.name = name;
+    if (district !== undefined) village.district = district;
+    if (state !== undefined) village.state = state;
+    if (pincode !== undefined) village.pincode = pincode;
+
+    if (isActive !== undefined && hasPermission(req.user, 'village:deactivate')) village.isActive = isActive;
+
+    try {
+      await village.save();
+    } catch (error) {
+      // Renamed to the name of another village
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'Village already exists with this name' });
+      }
+      throw error;
+    }
+
+    res.json(village);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/villages/:id/join
+// @desc    Set the current user's village
+// @access  Private
+router.put('/:id/join', auth, async (req, res) => {
+  try {
+    if (isVillageScoped(req.user)) {
+      return res.status(403).json({ message: 'Village admins cannot change their village' });
+    }
+
+    const village = await Village.findById(req.params.id);
+
+    if (!village || !village.isActive) {
+      return res.status(404).json({ message: 'Village not found' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { village: village._id },
+      { new: true }
+    ).select('-password').populate('village', 'name district state');
+
+    res.json(user);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
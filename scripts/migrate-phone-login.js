@@ -0,0 +1,62 @@
+// One-off migration for phone number login.
+// Normalizes stored phone numbers to E.164, removes empty and duplicate
+// values, and rebuilds the User indexes so email and phone are unique but
+// optional (sparse).
+//
+// Usage: MONGODB_URI=... npm run migrate:phone-login
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { normalizePhone } = require('../utils/phone');
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Raw documents: `email: ''` and similar legacy values would break sparse indexes
+  await User.collection.updateMany({ email: '' }, { $unset: { email: '' } });
+
+  const users = await User.collection
+    .find({ phone: { $exists: true } })
+    .sort({ createdAt: 1 })
+    .toArray();
+  const seen = new Set();
+  let normalized = 0;
+  let removed = 0;
+
+  for (const user of users) {
+    const phone = normalizePhone(user.phone);
+
+    // The oldest account keeps a shared number; later ones have to verify theirs
+    if (!phone || seen.has(phone)) {
+      await User.collection.updateOne({ _id: user._id }, { $unset: { phone: '' } });
+      if (user.phone) console.log(`Removed phone "${user.phone}" from user ${user._id}`);
+      removed++;
+      continue;
+    }
+
+    seen.add(phone);
+    if (phone !== user.phone) {
+      await User.collection.updateOne({ _id: user._id }, { $set: { phone } });
+      normalized++;
+    }
+  }
+
+  console.log(`Normalized ${normalized} phone numbers, removed ${removed}`);
+
+  // Drops the old non-sparse email index and creates the new ones
+  await User.syncIndexes();
+  console.log('User indexes rebuilt');
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('Phone login migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+// One-off migration for SLA deadlines.
+// Sets the response and resolution deadlines of problems reported before
+// SLAs existed, and derives respondedAt from their status history.
+// Deadlines that have already passed are marked as breached so the
+// scheduler does not escalate years-old problems all at once.
+//
+// Usage: MONGODB_URI=... npm run migrate:sla
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Problem = require('../models/Problem');
+const { deadline } = require('../utils/sla');
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const problems = await Problem.collection
+    .find({ resolutionDueAt: { $exists: false } })
+    .toArray();
+  const now = new Date();
+
+  for (const problem of problems) {
+    const reportedAt = problem.createdAt || problem._id.getTimestamp();
+    const responded = (problem.statusHistory || []).find((change) => change.from === 'open');
+    const set = {
+      responseDueAt: deadline('response', problem, reportedAt),
+      resolutionDueAt: deadline('resolution', problem, reportedAt)
+    };
+
+    if (responded) set.respondedAt = responded.at;
+    else if (problem.status && problem.status !== 'open') set.respondedAt = problem.updatedAt || reportedAt;
+
+    if (!set.respondedAt && set.responseDueAt < now) set.responseBreachedAt = now;
+    if (!problem.resolvedAt && set.resolutionDueAt < now) set.resolutionBreachedAt = now;
+
+    await Problem.collection.updateOne({ _id: problem._id }, { $set: set });
+  }
+
+  console.log(`Set SLA deadlines on ${problems.length} problems`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('SLA migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+// One-off migration from free-text `User.village` strings to Village documents.
+// Creates a Village per distinct name, points users at it, and back-fills the
+// village of problems, solutions and forum posts from their authors.
+//
+// Usage: MONGODB_URI=... npm run migrate:villages
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Village = require('../models/Village');
+const User = require('../models/User');
+const Problem = require('../models/Problem');
+const Solution = require('../models/Solution');
+const ForumPost = require('../models/ForumPost');
+
+const migrateUsers = async () => {
+  // Read raw documents so legacy string values are not cast to ObjectIds
+  const users = await User.collection.find({ village: { $type: 'string' } }).toArray();
+  let migrated = 0;
+
+  for (const user of users) {
+    const name = user.village.trim();
+
+    if (!name) {
+      await User.collection.updateOne({ _id: user._id }, { $unset: { village: '' } });
+      continue;
+    }
+
+    let village = await Village.resolve(name);
+    if (!village) {
+      village = await Village.create({ name });
+      console.log(`Created village "${name}"`);
+    }
+
+    await User.collection.updateOne({ _id: user._id }, { $set: { village: village._id } });
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} users`);
+};
+
+// Copy the village of the referenced document onto records that lack one
+const backfill = async (Model, refField, RefModel) => {
+  const docs = await Model.find({ village: { $exists: false } }).select(refField);
+  let updated = 0;
+
+  for (const doc of docs) {
+    const ref = await RefModel.findById(doc[refField]).select('village');
+    if (!ref || !ref.village) continue;
+
+    await Model.updateOne({ _id: doc._id }, { village: ref.village });
+    updated++;
+  }
+
+  console.log(`Back-filled village on ${updated} ${Model.collection.collectionName}`);
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  await migrateUsers();
+  await backfill(Problem, 'reportedBy', User);
+  await backfill(Solution, 'problem', Problem);
+  await backfill(ForumPost, 'author', User);
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('Village migration failed:', err);
+  process.exit(1);
+});
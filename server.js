@@ -2,6 +2,8 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
+const { startSlaScheduler } = require('./utils/slaScheduler');
+const { startClaimScheduler } = require('./utils/claims');
 
 const app = express();
 
@@ -26,12 +28,21 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Serve uploaded files when the storage adapter keeps them locally
+const storage = require('./utils/storage');
+if (storage.mount) storage.mount(app);
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/villages', require('./routes/villages'));
 app.use('/api/problems', require('./routes/problems'));
 app.use('/api/solutions', require('./routes/solutions'));
 app.use('/api/forum', require('./routes/forum'));
+app.use('/api/polls', require('./routes/polls'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/search', require('./routes/search'));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -43,7 +54,13 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb+srv://pujalasaivarshith_db_
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-  .then(() => console.log('MongoDB connected successfully'))
+  .then(() => {
+    console.log('MongoDB connected successfully');
+    // Flags and escalates problems that miss their SLA deadlines
+    startSlaScheduler();
+    // Frees up claimed problems nobody is working on
+    startClaimScheduler();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 const PORT = process.env.PORT || 5000;
@@ -0,0 +1,50 @@
+const { sendMail } = require('./mailer');
+const { createEmailToken } = require('./tokens');
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Account emails are best effort: a mail outage must not fail the request.
+// Resolves to whether the email was sent.
+const send = async (message) => {
+  try {
+    await sendMail(message);
+    return true;
+  } catch (error) {
+    console.error('Failed to send email:', error);
+    return false;
+  }
+};
+
+const sendVerificationEmail = async (user) => {
+  const link = `${frontendUrl()}/verify-email?token=${createEmailToken(user, 'verify-email')}`;
+
+  await send({
+    to: user.email,
+    subject: 'Verify your Village Connect email',
+    text: `Hello ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link is valid for 24 hours.`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const link = `${frontendUrl()}/reset-password?token=${createEmailToken(user, 'password-reset')}`;
+
+  await send({
+    to: user.email,
+    subject: 'Reset your Village Connect password',
+    text: `Hello ${user.name},\n\nYou can choose a new password by opening this link:\n${link}\n\nThe link is valid for 1 hour. If you did not ask for a password reset, you can ignore this email.`
+  });
+};
+
+// For accounts created by an admin: an invitation to choose a password,
+// accepted by the reset-password route
+const sendAccountSetupEmail = async (user) => {
+  const link = `${frontendUrl()}/reset-password?token=${createEmailToken(user, 'account-setup')}`;
+
+  return send({
+    to: user.email,
+    subject: 'Your Village Connect account',
+    text: `Hello ${user.name},\n\nAn account has been created for you on Village Connect. Choose your password by opening this link:\n${link}\n\nThe link is valid for 7 days.`
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, sendAccountSetupEmail };
@@ -0,0 +1,50 @@
+const { scopeFilter } = require('./policy');
+
+// Query filters of the admin list routes. The exports use the same ones,
+// so a download contains exactly what the list shows.
+
+// ?hidden=true lists only content hidden by moderation, ?hidden=false the rest
+const hiddenFilter = (hidden) => (hidden === 'true' ? true : { $ne: true });
+
+const problemFilter = (req) => {
+  const { status, category, priority, isVerified, hidden } = req.query;
+  const filter = scopeFilter(req.user);
+
+  if (status) filter.status = status;
+  if (category) filter.category = category;
+  if (priority) filter.priority = priority;
+  if (isVerified !== undefined) filter.isVerified = isVerified === 'true';
+  if (hidden !== undefined) filter.isHidden = hiddenFilter(hidden);
+
+  return filter;
+};
+
+const solutionFilter = (req) => {
+  const { status, shortlisted, hidden } = req.query;
+  const filter = scopeFilter(req.user);
+
+  if (status) filter.status = status;
+  if (shortlisted !== undefined) filter.isShortlisted = shortlisted === 'true';
+  if (hidden !== undefined) filter.isHidden = hiddenFilter(hidden);
+
+  return filter;
+};
+
+const userFilter = (req) => {
+  const filter = scopeFilter(req.user);
+
+  if (req.query.role) filter.role = req.query.role;
+
+  return filter;
+};
+
+const forumPostFilter = (req) => {
+  const filter = scopeFilter(req.user);
+
+  if (req.query.category) filter.category = req.query.category;
+  if (req.query.hidden !== undefined) filter.isHidden = hiddenFilter(req.query.hidden);
+
+  return filter;
+};
+
+module.exports = { problemFilter, solutionFilter, userFilter, forumPostFilter };
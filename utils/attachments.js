@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+const { IMAGE_TYPES } = require('../middleware/upload');
+
+const THUMBNAIL_WIDTH = 320;
+
+const extensions = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+class InvalidUploadError extends Error {}
+
+// Re-encoding drops all metadata, including EXIF GPS coordinates.
+// rotate() first bakes the EXIF orientation into the pixels.
+const processImage = async (file) => {
+  try {
+    const image = sharp(file.buffer).rotate();
+    const [body, thumbnail] = await Promise.all([
+      // Keep the uploaded format: image/jpeg -> jpeg, image/png -> png, ...
+      image.clone().toFormat(file.mimetype.split('/')[1]).toBuffer(),
+      image.clone().resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true }).jpeg({ quality: 80 }).toBuffer()
+    ]);
+    return { body, thumbnail };
+  } catch (error) {
+    throw new InvalidUploadError(`${file.originalname} is not a valid image`);
+  }
+};
+
+const isPdf = (buffer) => buffer.subarray(0, 5).toString() === '%PDF-';
+
+// Store uploaded files under `folder` and return attachment subdocuments
+const storeUploads = async (files, folder, userId) => {
+  const attachments = [];
+  // Every stored file, recorded as soon as it is written so a failure
+  // halfway through an image (file saved, thumbnail not) is cleaned up too
+  const written = [];
+  const save = async (key, body, mimeType) => {
+    const url = await storage.save(key, body, mimeType);
+    written.push({ key });
+    return url;
+  };
+
+  try {
+    for (const file of files) {
+      const id = crypto.randomBytes(12).toString('hex');
+      const key = `${folder}/${id}.${extensions[file.mimetype]}`;
+      const attachment = {
+        key,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        uploadedBy: userId
+      };
+
+      if (IMAGE_TYPES.includes(file.mimetype)) {
+        const { body, thumbnail } = await processImage(file);
+        attachment.thumbnailKey = `${folder}/${id}_thumb.jpg`;
+        attachment.url = await save(key, body, file.mimetype);
+        attachment.thumbnailUrl = await save(attachment.thumbnailKey, thumbnail, 'image/jpeg');
+        attachment.size = body.length;
+      } else {
+        if (!isPdf(file.buffer)) {
+          throw new InvalidUploadError(`${file.originalname} is not a valid PDF`);
+        }
+        attachment.url = await save(key, file.buffer, file.mimetype);
+        attachment.size = file.size;
+      }
+
+      attachments.push(attachment);
+    }
+  } catch (error) {
+    // Do not leave half of a failed batch behind
+    await removeAttachments(written);
+    throw error;
+  }
+
+  return attachments;
+};
+
+// Delete the stored files of the given attachments
+const removeAttachments = async (attachments = []) => {
+  const keys = [];
+  for (const attachment of attachments) {
+    if (attachment.key) keys.push(attachment.key);
+    if (attachment.thumbnailKey) keys.push(attachment.thumbnailKey);
+  }
+
+  const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => console.error('Failed to remove stored file:', result.reason));
+};
+
+module.exports = { storeUploads, removeAttachments, InvalidUploadError };
@@ -0,0 +1,59 @@
+const AuditLog = require('../models/AuditLog');
+const { hasPermission } = require('./policy');
+
+const serialize = (value) => {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+const same = (a, b) => JSON.stringify(serialize(a)) === JSON.stringify(serialize(b));
+
+// Plain copy of `fields` of a document, to compare before and after a change
+const snapshot = (doc, fields) => {
+  if (!doc) return null;
+  const source = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return Object.fromEntries(fields.map((field) => [field, serialize(source[field])]));
+};
+
+// Snapshot of a document's uploaded files, by name
+const attachmentNames = (attachments) => ({
+  attachments: attachments.map((attachment) => attachment.originalName || attachment.key)
+});
+
+// Only the fields whose value differs between two snapshots
+const diff = (before, after) => {
+  if (!before || !after) return { before, after };
+
+  const changed = Object.keys({ ...before, ...after }).filter((field) => !same(before[field], after[field]));
+  return {
+    before: Object.fromEntries(changed.map((field) => [field, before[field]])),
+    after: Object.fromEntries(changed.map((field) => [field, after[field]]))
+  };
+};
+
+// Record an action taken with admin rights. Actions by users without
+// admin access (e.g. authors editing their own posts) are not logged.
+// `target` is { kind, id, label }; `before`/`after` are snapshots and only
+// their differences are stored. Failures are logged and never fail the
+// request.
+const audit = async (req, { action, target, village, before, after }) => {
+  try {
+    if (!hasPermission(req.user, 'admin:access')) return null;
+
+    return await AuditLog.create({
+      actor: req.user._id,
+      actorRole: req.user.role,
+      action,
+      target: { kind: target.kind, id: target.id, label: target.label },
+      village: village || undefined,
+      changes: diff(serialize(before), serialize(after)),
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error('Failed to write audit log:', error);
+    return null;
+  }
+};
+
+module.exports = { audit, snapshot, diff, attachmentNames };
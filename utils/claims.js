@@ -0,0 +1,93 @@
+const Problem = require('../models/Problem');
+const { notify, notifyAdmins } = require('./notifications');
+const { publishProblem } = require('./realtime');
+const { every, intervalFromEnv } = require('./scheduler');
+const { hasPermission } = require('./policy');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Days a claimed assignment may go without a progress update or completion
+const releaseAfterDays = () => Number(process.env.CLAIM_RELEASE_DAYS) || 7;
+
+// Why `user` cannot work on `problem`, or null when they can
+const assignmentError = (user, problem) => {
+  if (!user || !hasPermission(user, 'problem:complete')) {
+    return 'Only villagers and volunteers can be assigned problems';
+  }
+  // Problems are handled by people of the same village
+  if (problem.village && (!user.village || user.village.toString() !== problem.village.toString())) {
+    return 'Only members of the problem\'s village can be assigned';
+  }
+  if (!problem.isVerified && !hasPermission(user, 'problem:view-unverified')) {
+    return 'Volunteers can only be assigned verified problems';
+  }
+  return null;
+};
+
+// Release claimed assignments that have been left unused for
+// CLAIM_RELEASE_DAYS, so other volunteers can take the problem on.
+// Assignments made directly by admins are never released.
+// Resolves to the number of assignments released.
+const releaseStaleClaims = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - releaseAfterDays() * DAY);
+  const problems = await Problem.find({
+    status: { $in: ['open', 'in-progress'] },
+    assignees: { $elemMatch: { source: 'claim', lastActiveAt: { $lt: cutoff } } }
+  });
+  let count = 0;
+
+  for (const problem of problems) {
+    // One failing problem must not stop the others from being released
+    try {
+      const stale = problem.assignees.filter((assignee) => assignee.source === 'claim' && assignee.lastActiveAt < cutoff);
+
+      stale.forEach((assignee) => {
+        problem.unassign(assignee.user);
+        problem.claims
+          .filter((claim) => claim.status === 'approved' && claim.user.equals(assignee.user))
+          .forEach((claim) => {
+            claim.status = 'released';
+            claim.reason = `No activity for ${releaseAfterDays()} days`;
+            claim.decidedAt = now;
+          });
+      });
+
+      await problem.save();
+      publishProblem('problem.assigned', problem);
+      count += stale.length;
+
+      await Promise.all(stale.map((assignee) => notify({
+        recipient: assignee.user,
+        type: 'problem-claim',
+        message: `Your claim on "${problem.title}" was released after ${releaseAfterDays()} days without activity`,
+        target: { kind: 'Problem', item: problem._id }
+      })));
+
+      if (!problem.assignees.length) {
+        await notifyAdmins(problem.village, {
+          type: 'problem-claim',
+          message: `"${problem.title}" has no assignees left after an unused claim was released`,
+          target: { kind: 'Problem', item: problem._id }
+        });
+      }
+    } catch (error) {
+      console.error(`Claim release failed for problem ${problem._id}:`, error);
+    }
+  }
+
+  return count;
+};
+
+// Run releaseStaleClaims every CLAIM_CHECK_INTERVAL_MINUTES (default 60).
+// Set it to 0 to turn the scheduler off.
+const startClaimScheduler = () => every(
+  'Claim release',
+  intervalFromEnv('CLAIM_CHECK_INTERVAL_MINUTES', DEFAULT_INTERVAL_MINUTES),
+  async () => {
+    const count = await releaseStaleClaims();
+    if (count) console.log(`Released ${count} unused claim(s)`);
+  }
+);
+
+module.exports = { assignmentError, releaseStaleClaims, startClaimScheduler };
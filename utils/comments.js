@@ -0,0 +1,24 @@
+const { withVisibleComments } = require('./moderation');
+const { paginateArray } = require('./pagination');
+
+const parentOf = (comment) => (comment.parent ? comment.parent.toString() : null);
+
+// One page of the comments of `doc` (a forum post or solution) as `user`
+// sees them: the replies to the comment `parent`, or the top-level
+// comments when it is not given. Each comment carries its `replyCount`.
+const commentThread = (doc, user, parent, page) => {
+  const { comments } = withVisibleComments(doc, user);
+  const replyCounts = {};
+
+  comments.forEach((comment) => {
+    const key = parentOf(comment);
+    if (key) replyCounts[key] = (replyCounts[key] || 0) + 1;
+  });
+
+  const result = paginateArray(comments.filter((comment) => parentOf(comment) === (parent ? parent.toString() : null)), page);
+  result.items = result.items.map((comment) => ({ ...comment, replyCount: replyCounts[comment._id.toString()] || 0 }));
+
+  return result;
+};
+
+module.exports = { commentThread };
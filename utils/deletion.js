@@ -0,0 +1,81 @@
+const Problem = require('../models/Problem');
+const Solution = require('../models/Solution');
+const ForumPost = require('../models/ForumPost');
+const Pledge = require('../models/Pledge');
+const Expense = require('../models/Expense');
+const Poll = require('../models/Poll');
+const Vote = require('../models/Vote');
+const { removeAttachments } = require('./attachments');
+const { updateShortlist } = require('./ranking');
+const { closeCases } = require('./moderation');
+
+// Deleting content together with everything hanging off it, shared by the
+// owners' delete routes and the moderation queue. Money records must stay
+// traceable to what they paid for, so funded problems and solutions are
+// kept and `{ error }` is returned instead.
+
+// Polls attached to the deleted problems or forum posts, with their ballots
+const deletePolls = async (ids) => {
+  const polls = await Poll.find({ 'target.item': { $in: ids } }).select('_id');
+  const pollIds = polls.map((poll) => poll._id);
+
+  await Vote.deleteMany({ poll: { $in: pollIds } });
+  await Poll.deleteMany({ _id: { $in: pollIds } });
+};
+
+const deleteSolution = async (solution, actor) => {
+  const [pledges, expenses] = await Promise.all([
+    Pledge.countDocuments({ solution: solution._id, status: { $ne: 'cancelled' } }),
+    Expense.countDocuments({ solution: solution._id })
+  ]);
+  if (pledges || expenses) {
+    return { error: 'Solutions with pledges or expenses cannot be deleted' };
+  }
+
+  await Problem.findByIdAndUpdate(solution.problem, {
+    $pull: { solutions: solution._id }
+  });
+  await Solution.findByIdAndDelete(solution._id);
+  await removeAttachments(solution.evidence);
+  await closeCases([solution._id]);
+  await updateShortlist(solution.problem, actor);
+
+  return {};
+};
+
+// Resolves to `{ solutions }`, the deleted solutions' ids and titles
+const deleteProblem = async (problem) => {
+  const solutions = await Solution.find({ problem: problem._id }).select('title evidence');
+  const solutionIds = solutions.map((solution) => solution._id);
+
+  const [pledges, expenses] = await Promise.all([
+    Pledge.countDocuments({ solution: { $in: solutionIds }, status: { $ne: 'cancelled' } }),
+    Expense.countDocuments({ solution: { $in: solutionIds } })
+  ]);
+  if (pledges || expenses) {
+    return { error: 'Problems with funded solutions cannot be deleted' };
+  }
+
+  await Solution.deleteMany({ problem: problem._id });
+  await Problem.findByIdAndDelete(problem._id);
+
+  await removeAttachments([
+    ...problem.attachments,
+    ...solutions.flatMap((solution) => solution.evidence)
+  ]);
+  await closeCases([problem._id, ...solutionIds]);
+  await deletePolls([problem._id]);
+
+  return { solutions: solutions.map((solution) => ({ _id: solution._id, title: solution.title })) };
+};
+
+const deleteForumPost = async (post) => {
+  await ForumPost.findByIdAndDelete(post._id);
+  await removeAttachments(post.attachments);
+  await closeCases([post._id]);
+  await deletePolls([post._id]);
+
+  return {};
+};
+
+module.exports = { deleteSolution, deleteProblem, deleteForumPost };
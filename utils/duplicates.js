@@ -0,0 +1,95 @@
+const Problem = require('../models/Problem');
+const { EARTH_RADIUS_METERS, distanceMeters } = require('./geo');
+
+const NEARBY_METERS = 300;
+const MIN_SCORE = 0.35;
+const MAX_RESULTS = 5;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'is', 'are', 'was', 'were',
+  'it', 'its', 'this', 'that', 'near', 'not', 'no', 'with', 'from', 'by', 'be', 'has', 'have', 'our'
+]);
+
+const tokens = (text) => new Set(
+  String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9ऀ-෿]+/)
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word))
+);
+
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((word) => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+// Open problems that are likely the same issue as `candidate`
+// ({ title, description, category, village, geoLocation }).
+// Text similarity of titles and descriptions is combined with a bonus for
+// reports within NEARBY_METERS of each other.
+const findDuplicates = async (candidate) => {
+  const base = {
+    category: candidate.category,
+    status: { $in: ['open', 'in-progress'] },
+    mergedInto: null,
+    isHidden: { $ne: true }
+  };
+  if (candidate.village) base.village = candidate.village;
+
+  const searches = [
+    Problem.find({ ...base, $text: { $search: `${candidate.title} ${candidate.description || ''}` } })
+      .select('title description status upvotes geoLocation createdAt')
+      .limit(20)
+  ];
+
+  if (candidate.geoLocation) {
+    searches.push(
+      Problem.find({
+        ...base,
+        geoLocation: {
+          $geoWithin: { $centerSphere: [candidate.geoLocation.coordinates, NEARBY_METERS / EARTH_RADIUS_METERS] }
+        }
+      })
+        .select('title description status upvotes geoLocation createdAt')
+        .limit(20)
+    );
+  }
+
+  const results = (await Promise.all(searches)).flat();
+  const titleTokens = tokens(candidate.title);
+  const descriptionTokens = tokens(candidate.description);
+  const seen = new Set();
+  const duplicates = [];
+
+  for (const problem of results) {
+    const id = problem._id.toString();
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    let score = 0.6 * jaccard(titleTokens, tokens(problem.title)) +
+      0.4 * jaccard(descriptionTokens, tokens(problem.description));
+
+    let distance;
+    if (candidate.geoLocation && problem.geoLocation && problem.geoLocation.coordinates) {
+      distance = Math.round(distanceMeters(candidate.geoLocation, problem.geoLocation));
+      if (distance <= NEARBY_METERS) score += 0.3;
+    }
+
+    if (score >= MIN_SCORE) {
+      duplicates.push({
+        id: problem._id,
+        title: problem.title,
+        status: problem.status,
+        upvotes: problem.upvotes.length,
+        distance,
+        score: Math.round(Math.min(score, 1) * 100) / 100,
+        createdAt: problem.createdAt
+      });
+    }
+  }
+
+  return duplicates.sort((a, b) => b.score - a.score).slice(0, MAX_RESULTS);
+};
+
+module.exports = { findDuplicates };
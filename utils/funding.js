@@ -0,0 +1,63 @@
+const Pledge = require('../models/Pledge');
+const Expense = require('../models/Expense');
+
+const emptyTotals = () => ({ pledged: 0, received: 0, spent: 0 });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Outstanding pledges, received contributions and expenditure per solution.
+// `match` filters both collections (aggregation, so ids must be ObjectIds);
+// `from`/`to` limit pledges by creation and expenses by spending date.
+// Resolves to a Map of solution id => { pledged, received, spent }.
+const fundingBySolution = async (match, { from, to } = {}) => {
+  const range = (field) => {
+    if (!from && !to) return {};
+    const bounds = {};
+    if (from) bounds.$gte = from;
+    if (to) bounds.$lte = to;
+    return { [field]: bounds };
+  };
+
+  const [pledges, expenses] = await Promise.all([
+    Pledge.aggregate([
+      { $match: { ...match, ...range('createdAt'), status: { $in: ['pledged', 'received'] } } },
+      { $group: { _id: { solution: '$solution', status: '$status' }, amount: { $sum: '$amount' } } }
+    ]),
+    Expense.aggregate([
+      { $match: { ...match, ...range('spentAt') } },
+      { $group: { _id: '$solution', amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const totals = new Map();
+  const totalsFor = (id) => {
+    const key = id.toString();
+    if (!totals.has(key)) totals.set(key, emptyTotals());
+    return totals.get(key);
+  };
+
+  pledges.forEach(({ _id, amount }) => { totalsFor(_id.solution)[_id.status] += amount; });
+  expenses.forEach(({ _id, amount }) => { totalsFor(_id).spent += amount; });
+
+  return totals;
+};
+
+// Funding progress of one solution against its estimated cost.
+// `committed` counts outstanding pledges and received money together.
+const fundingProgress = (estimatedCost, { pledged, received, spent } = emptyTotals()) => {
+  const committed = pledged + received;
+  const estimate = typeof estimatedCost === 'number' ? estimatedCost : null;
+
+  return {
+    estimatedCost: estimate,
+    pledged: round(pledged),
+    received: round(received),
+    committed: round(committed),
+    spent: round(spent),
+    balance: round(received - spent),
+    remaining: estimate === null ? null : round(Math.max(estimate - committed, 0)),
+    progress: estimate ? Math.round((committed / estimate) * 1000) / 10 : null
+  };
+};
+
+module.exports = { emptyTotals, fundingBySolution, fundingProgress };
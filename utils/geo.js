@@ -0,0 +1,130 @@
+// Helpers for GeoJSON problem locations. GeoJSON stores points as
+// [longitude, latitude]; the API accepts "lat,lng" like map clients do.
+
+const EARTH_RADIUS_METERS = 6378100;
+const DEFAULT_RADIUS_METERS = 5000;
+const MAX_RADIUS_METERS = 100000;
+const MAX_TILE_ZOOM = 18;
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+// Build a GeoJSON point from `{ lat, lng }`, or null when invalid
+const toPoint = (coordinates) => {
+  if (!coordinates) return null;
+  const lat = parseFloat(coordinates.lat);
+  const lng = parseFloat(coordinates.lng);
+  if (!isLatitude(lat) || !isLongitude(lng)) return null;
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// `near=lat,lng&radius=meters` -> $geoWithin condition, or null when invalid
+const parseNear = (near, radius) => {
+  const [lat, lng] = String(near).split(',').map(Number);
+  if (!isLatitude(lat) || !isLongitude(lng)) return null;
+
+  const meters = radius === undefined ? DEFAULT_RADIUS_METERS : Number(radius);
+  if (!Number.isFinite(meters) || meters <= 0 || meters > MAX_RADIUS_METERS) return null;
+
+  return {
+    $geoWithin: { $centerSphere: [[lng, lat], meters / EARTH_RADIUS_METERS] }
+  };
+};
+
+// `bbox=west,south,east,north` -> $geoWithin condition, or null when invalid
+const parseBBox = (bbox) => {
+  const [west, south, east, north] = String(bbox).split(',').map(Number);
+  if (!isLongitude(west) || !isLongitude(east) || !isLatitude(south) || !isLatitude(north)) return null;
+  if (west >= east || south >= north) return null;
+
+  return {
+    $geoWithin: {
+      $geometry: {
+        type: 'Polygon',
+        coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+      }
+    }
+  };
+};
+
+// Great-circle distance in meters between two GeoJSON points
+const distanceMeters = (a, b) => {
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+// Aggregation stages that group points into slippy map tiles at `zoom`
+const tileClusterStages = (field, zoom) => {
+  const tiles = Math.pow(2, zoom);
+  const lng = { $arrayElemAt: [`$${field}.coordinates`, 0] };
+  const lat = { $arrayElemAt: [`$${field}.coordinates`, 1] };
+  // Web Mercator is undefined at the poles
+  const latRad = { $degreesToRadians: { $max: [-85.0511, { $min: [85.0511, lat] }] } };
+
+  return [
+    {
+      $project: {
+        lng,
+        lat,
+        status: 1,
+        x: {
+          $min: [tiles - 1, { $floor: { $multiply: [{ $divide: [{ $add: [lng, 180] }, 360] }, tiles] } }]
+        },
+        y: {
+          $floor: {
+            $multiply: [
+              {
+                $divide: [
+                  {
+                    $subtract: [1, {
+                      $divide: [
+                        { $ln: { $add: [{ $tan: latRad }, { $divide: [1, { $cos: latRad }] }] } },
+                        Math.PI
+                      ]
+                    }]
+                  },
+                  2
+                ]
+              },
+              tiles
+            ]
+          }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$x', y: '$y' },
+        count: { $sum: 1 },
+        open: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } },
+        lat: { $avg: '$lat' },
+        lng: { $avg: '$lng' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        tile: { x: '$_id.x', y: '$_id.y', z: { $literal: zoom } },
+        count: 1,
+        open: 1,
+        center: { lat: '$lat', lng: '$lng' }
+      }
+    },
+    { $sort: { count: -1 } }
+  ];
+};
+
+module.exports = {
+  MAX_TILE_ZOOM,
+  EARTH_RADIUS_METERS,
+  toPoint,
+  distanceMeters,
+  parseNear,
+  parseBBox,
+  tileClusterStages
+};
@@ -0,0 +1,69 @@
+// Minimal iCalendar (RFC 5545) writer for the village event feeds
+
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20261019T163000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Long lines continue on lines starting with a space. Lengths count UTF-8
+// octets, and characters are never split.
+const fold = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      lines.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n');
+};
+
+// A calendar named `name` of `events`, each
+// { uid, start, end?, summary, description?, location?, url?, updatedAt }
+const calendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Village Connect//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDate(event.updatedAt)}`,
+      `LAST-MODIFIED:${formatDate(event.updatedAt)}`,
+      `DTSTART:${formatDate(event.start)}`
+    );
+    if (event.end) lines.push(`DTEND:${formatDate(event.end)}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+};
+
+module.exports = { calendar };
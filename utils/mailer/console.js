@@ -0,0 +1,13 @@
+// Prints messages to the server log, for local development only (refused
+// in production, see ./index)
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+
+    async send(message) {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    }
+  };
+};
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,17 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each message to a JSON file, for local testing
+const createFileTransport = ({ dir }) => {
+  return {
+    name: 'file',
+
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+      await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+    }
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,34 @@
+const path = require('path');
+
+// Mail transports share one interface: send({ from, to, subject, text, html })
+const transports = {
+  smtp: () => require('./smtp')(),
+  file: () => require('./file')({
+    dir: process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'mail')
+  }),
+  console: () => require('./console')()
+};
+
+// The console transport prints reset and setup links to the server log,
+// so production must name a real transport
+const isProduction = process.env.NODE_ENV === 'production';
+const transportName = process.env.MAIL_TRANSPORT || (isProduction ? null : 'console');
+
+if (!transportName) {
+  throw new Error('MAIL_TRANSPORT must be set in production');
+}
+if (!transports[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}"`);
+}
+if (isProduction && transportName === 'console') {
+  throw new Error('MAIL_TRANSPORT "console" cannot be used in production');
+}
+
+const transport = transports[transportName]();
+const from = process.env.MAIL_FROM || 'Village Connect <no-reply@villageconnect.local>';
+
+const sendMail = async ({ to, subject, text, html }) => {
+  await transport.send({ from, to, subject, text, html });
+};
+
+module.exports = { sendMail };
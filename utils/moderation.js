@@ -0,0 +1,226 @@
+const ModerationCase = require('../models/ModerationCase');
+const Problem = require('../models/Problem');
+const Solution = require('../models/Solution');
+const ForumPost = require('../models/ForumPost');
+const { can } = require('./policy');
+const { notify, notifyAdmins } = require('./notifications');
+
+// Content that can be flagged. Comments live inside their parent document.
+const CONTENT = {
+  Problem: { model: Problem, authorField: 'reportedBy', label: 'problem report' },
+  Solution: { model: Solution, authorField: 'proposedBy', label: 'solution' },
+  ForumPost: { model: ForumPost, authorField: 'author', label: 'forum post' },
+  ForumComment: { model: ForumPost, authorField: 'user', label: 'comment', comment: true },
+  SolutionComment: { model: Solution, authorField: 'user', label: 'comment', comment: true }
+};
+
+const EXCERPT_LENGTH = 200;
+
+// Flags since the last moderator decision after which content is hidden
+// until a moderator reviews it
+const FLAG_HIDE_THRESHOLD = parseInt(process.env.FLAG_HIDE_THRESHOLD) || 3;
+
+// Word filter: BLOCKED_WORDS is a comma-separated list of words or phrases.
+// New content containing one is rejected, or with WORD_FILTER_ACTION=hold
+// saved hidden and queued for review.
+const BLOCKED_WORDS = (process.env.BLOCKED_WORDS || '')
+  .split(',')
+  .map((word) => word.trim().toLowerCase())
+  .filter(Boolean);
+const WORD_FILTER_ACTION = process.env.WORD_FILTER_ACTION === 'hold' ? 'hold' : 'reject';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, in any script; "\b" only knows ASCII letters
+const blockedPattern = BLOCKED_WORDS.length
+  ? new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(${BLOCKED_WORDS.map(escapeRegExp).join('|')})(?![\\p{L}\\p{M}\\p{N}])`, 'iu')
+  : null;
+
+const idOf = (value) => (value ? value._id || value : undefined);
+const sameId = (a, b) => !!a && !!b && idOf(a).toString() === idOf(b).toString();
+
+// The first blocked word found in `texts`, or null
+const blockedWord = (...texts) => {
+  if (!blockedPattern) return null;
+
+  for (const text of texts) {
+    const match = typeof text === 'string' && text.match(blockedPattern);
+    if (match) return match[1].toLowerCase();
+  }
+  return null;
+};
+
+const hiddenFields = (reason) => ({ isHidden: true, hiddenAt: new Date(), hiddenReason: reason });
+
+// Visibility fields for content being created: hidden when the word
+// filter held it back (see middleware/wordFilter)
+const heldFields = (req) => (req.heldFor ? hiddenFields('word-filter') : {});
+
+// The case fields identifying `doc`, a comment of `parent` when given
+const contentOf = (kind, doc, parent) => {
+  const text = [doc.title, doc.description || doc.content || doc.text].filter(Boolean).join(': ');
+
+  return {
+    content: { kind, id: doc._id, parent: parent ? parent._id : undefined },
+    village: idOf((parent || doc).village),
+    author: idOf(doc[CONTENT[kind].authorField]),
+    excerpt: text.slice(0, EXCERPT_LENGTH)
+  };
+};
+
+// Notification target of a case: comments point at their post or solution
+const notificationTarget = ({ content }) => {
+  if (!CONTENT[content.kind].comment) return { kind: content.kind, item: content.id };
+  return { kind: CONTENT[content.kind].model.modelName, item: content.parent };
+};
+
+// Queue content the word filter held back when it was created or edited.
+// No-op otherwise.
+const holdForReview = async (req, kind, doc, parent) => {
+  if (!req.heldFor) return null;
+
+  const { content, village, author, excerpt } = contentOf(kind, doc, parent);
+
+  return ModerationCase.findOneAndUpdate(
+    { 'content.kind': kind, 'content.id': content.id },
+    {
+      $setOnInsert: { 'content.parent': content.parent, village, author },
+      $set: { excerpt, filterMatch: req.heldFor, lastFlaggedAt: new Date(), status: 'open', isContentHidden: true }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Hide or show the content of a case. Resolves to false when the content
+// no longer exists.
+const setContentHidden = async (moderationCase, hidden, reason) => {
+  const { kind, id, parent } = moderationCase.content;
+  const { model, comment } = CONTENT[kind];
+  const path = (field) => (comment ? `comments.$.${field}` : field);
+
+  const update = hidden
+    ? { $set: Object.fromEntries(Object.entries(hiddenFields(reason)).map(([field, value]) => [path(field), value])) }
+    : { $set: { [path('isHidden')]: false }, $unset: { [path('hiddenAt')]: 1, [path('hiddenReason')]: 1 } };
+
+  const result = await model.updateOne(comment ? { _id: parent, 'comments._id': id } : { _id: id }, update);
+  return result.matchedCount > 0;
+};
+
+// Record `req.user`'s flag on `doc` (a comment of `parent` when given).
+// Once the content has FLAG_HIDE_THRESHOLD flags since the last moderator
+// decision it is hidden until reviewed.
+// Returns `{ moderationCase }`, or `{ error }`.
+const flagContent = async (req, kind, doc, parent) => {
+  const fields = contentOf(kind, doc, parent);
+
+  if (sameId(fields.author, req.user._id)) {
+    return { error: 'You cannot flag your own content' };
+  }
+
+  let moderationCase;
+  try {
+    moderationCase = await ModerationCase.findOneAndUpdate(
+      { 'content.kind': kind, 'content.id': doc._id, 'flags.user': { $ne: req.user._id } },
+      {
+        $setOnInsert: { 'content.parent': fields.content.parent, village: fields.village, author: fields.author },
+        $set: { excerpt: fields.excerpt, lastFlaggedAt: new Date() },
+        $push: { flags: { user: req.user._id, reason: req.body.reason, note: req.body.note } },
+        $inc: { flagCount: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // The unique index rejects the upsert when the user's flag is already there
+    if (error.code === 11000) return { error: 'You have already flagged this' };
+    throw error;
+  }
+
+  // New flags on restored content put it back in the queue
+  if (moderationCase.status === 'restored') moderationCase.status = 'open';
+
+  const autoHide = moderationCase.status === 'open'
+    && !moderationCase.isContentHidden
+    && moderationCase.flagCount >= FLAG_HIDE_THRESHOLD;
+
+  if (autoHide) {
+    moderationCase.isContentHidden = await setContentHidden(moderationCase, true, 'flags');
+  }
+  await moderationCase.save();
+
+  if (autoHide && moderationCase.isContentHidden) {
+    const { label } = CONTENT[kind];
+    const target = notificationTarget(moderationCase);
+
+    await notify({
+      recipient: moderationCase.author,
+      type: 'content-hidden',
+      message: `Your ${label} was hidden after being flagged by other users and will be reviewed by a moderator`,
+      target
+    });
+    await notifyAdmins(moderationCase.village, {
+      type: 'content-hidden',
+      message: `A ${label} was hidden after ${moderationCase.flagCount} flags and awaits review`,
+      target
+    });
+  }
+
+  return { moderationCase };
+};
+
+// Close the cases of deleted content, including those of its comments
+const closeCases = (ids) => ModerationCase.updateMany(
+  {
+    status: { $ne: 'deleted' },
+    $or: [{ 'content.id': { $in: ids } }, { 'content.parent': { $in: ids } }]
+  },
+  { $set: { status: 'deleted', isContentHidden: false } }
+);
+
+// Whether `user` may see `doc` (a comment of `parent` when given): hidden
+// content stays visible to its author and to moderators
+const isVisible = (user, kind, doc, parent) => {
+  if (!doc.isHidden) return true;
+  return !!user && (sameId(doc[CONTENT[kind].authorField], user._id) || can(user, 'moderation:review', parent || doc));
+};
+
+// Stand-in keeping the place of a comment in its thread
+const commentStub = (comment, fields) => ({
+  _id: comment._id,
+  parent: comment.parent,
+  createdAt: comment.createdAt,
+  ...fields
+});
+
+// `doc` as JSON for `user`. Deleted comments, and hidden ones the user may
+// not see, are reduced to stubs so replies below them stay in place.
+const withVisibleComments = (doc, user) => {
+  const json = doc.toJSON();
+
+  if (json.comments) {
+    const isModerator = can(user, 'moderation:review', doc);
+
+    json.comments = json.comments.map((comment) => {
+      if (comment.isDeleted) return commentStub(comment, { isDeleted: true, deletedAt: comment.deletedAt });
+      if (comment.isHidden && !isModerator && !(user && sameId(comment.user, user._id))) {
+        return commentStub(comment, { isHidden: true });
+      }
+      return comment;
+    });
+  }
+  return json;
+};
+
+module.exports = {
+  CONTENT,
+  FLAG_HIDE_THRESHOLD,
+  WORD_FILTER_ACTION,
+  blockedWord,
+  heldFields,
+  holdForReview,
+  setContentHidden,
+  flagContent,
+  notificationTarget,
+  closeCases,
+  isVisible,
+  withVisibleComments
+};
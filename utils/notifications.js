@@ -0,0 +1,48 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { ROLES } = require('./policy');
+const { publishNotification } = require('./realtime');
+
+const adminRoles = Object.keys(ROLES).filter((role) => ROLES[role].permissions.includes('admin:access'));
+const globalAdminRoles = adminRoles.filter((role) => !ROLES[role].villageScoped);
+const villageAdminRoles = adminRoles.filter((role) => ROLES[role].villageScoped);
+
+// Create an in-app notification unless the recipient is the actor or has
+// turned this type off. Failures are logged and never fail the request.
+const notify = async ({ recipient, actor, type, message, target }) => {
+  try {
+    if (!recipient) return null;
+
+    const recipientId = (recipient._id || recipient).toString();
+    if (actor && recipientId === (actor._id || actor).toString()) return null;
+
+    const user = await User.findById(recipientId).select('notificationPreferences');
+    if (!user || user.notificationPreferences.get(type) === false) return null;
+
+    const notification = await Notification.create({ recipient: recipientId, actor, type, message, target });
+    publishNotification(notification);
+    return notification;
+  } catch (error) {
+    console.error('Failed to create notification:', error);
+    return null;
+  }
+};
+
+// Notify global admins and the admins of `village`
+const notifyAdmins = async (village, { actor, type, message, target }) => {
+  try {
+    const admins = await User.find({
+      $or: [
+        { role: { $in: globalAdminRoles } },
+        { role: { $in: villageAdminRoles }, village }
+      ]
+    }).select('_id');
+
+    return Promise.all(admins.map((admin) => notify({ recipient: admin._id, actor, type, message, target })));
+  } catch (error) {
+    console.error('Failed to notify admins:', error);
+    return [];
+  }
+};
+
+module.exports = { notify, notifyAdmins };
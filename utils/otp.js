@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const sms = require('./sms');
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const RESEND_INTERVAL_MS = 60 * 1000;
+const MAX_CODES_PER_PHONE_PER_HOUR = 5;
+const MAX_CODES_PER_IP_PER_HOUR = 20;
+
+const hashCode = (phone, code) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || 'fallback_secret')
+    .update(`${phone}:${code}`)
+    .digest('hex');
+};
+
+// Send a new login code. Returns `{ error, retryAfter }` when rate limited.
+const sendOtp = async (phone, ip) => {
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+  const [latest, phoneCount, ipCount] = await Promise.all([
+    OtpCode.findOne({ phone }).sort('-createdAt'),
+    OtpCode.countDocuments({ phone, createdAt: { $gte: hourAgo } }),
+    OtpCode.countDocuments({ ip, createdAt: { $gte: hourAgo } })
+  ]);
+
+  if (latest && Date.now() - latest.createdAt.getTime() < RESEND_INTERVAL_MS) {
+    const retryAfter = Math.ceil((RESEND_INTERVAL_MS - (Date.now() - latest.createdAt.getTime())) / 1000);
+    return { error: 'Please wait before requesting another code', retryAfter };
+  }
+  if (phoneCount >= MAX_CODES_PER_PHONE_PER_HOUR || ipCount >= MAX_CODES_PER_IP_PER_HOUR) {
+    return { error: 'Too many codes requested. Please try again later', retryAfter: 60 * 60 };
+  }
+
+  const code = crypto.randomInt(0, Math.pow(10, CODE_LENGTH)).toString().padStart(CODE_LENGTH, '0');
+
+  // Only the newest code is valid
+  await OtpCode.updateMany({ phone, consumedAt: null }, { consumedAt: new Date() });
+  await OtpCode.create({
+    phone,
+    codeHash: hashCode(phone, code),
+    expiresAt: new Date(Date.now() + CODE_TTL_MS),
+    ip
+  });
+
+  await sms.send(phone, `Your Village Connect code is ${code}. It expires in ${CODE_TTL_MS / 60000} minutes.`);
+
+  return {};
+};
+
+// Check and consume a code. Returns `{ error }` when it does not match.
+// Every check counts as an attempt, so a code cannot be brute forced.
+const verifyOtp = async (phone, code) => {
+  const otp = await OtpCode.findOneAndUpdate(
+    { phone, consumedAt: null, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+
+  if (!otp) {
+    return { error: 'Code is invalid or has expired. Please request a new code' };
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(phone, String(code)), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'Code is invalid' };
+  }
+
+  // Guard against the same code being used twice concurrently
+  const result = await OtpCode.updateOne({ _id: otp._id, consumedAt: null }, { consumedAt: new Date() });
+  if (!result.modifiedCount) {
+    return { error: 'Code is invalid or has expired. Please request a new code' };
+  }
+
+  return {};
+};
+
+module.exports = { sendOtp, verifyOtp };
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort
+// value and _id, which together give a stable position in the list.
+const encodeCursor = (value, id) => {
+  const isDate = value instanceof Date;
+  const payload = { v: isDate ? value.toISOString() : value, d: isDate, id: id.toString() };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (v === undefined || v === null || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse ?sort, ?limit, ?cursor and ?count for a list route.
+// Only fields in `sortable` may be sorted on; they must never be empty,
+// otherwise cursor comparisons would skip documents.
+// Returns `{ page }`, or `{ error }` when a query parameter is invalid.
+const parsePagination = (query, { sortable, defaultSort = '-createdAt' }) => {
+  const sort = String(query.sort || defaultSort);
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^[-+]/, '');
+
+  if (!sortable.includes(field)) {
+    return { error: `sort must be one of ${sortable.join(', ')} (prefix with - for descending)` };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(String(query.cursor));
+    if (!after) return { error: 'Invalid cursor' };
+  }
+
+  return { page: { field, direction, limit, after, withTotal: query.count === 'true' } };
+};
+
+// Run a paginated find. `build` adds populate/select to the query.
+// Resolves to `{ items, nextCursor, hasMore, total? }`.
+const paginate = async (Model, filter, page, build = (query) => query) => {
+  const { field, direction, limit, after, withTotal } = page;
+  const op = direction === -1 ? '$lt' : '$gt';
+
+  const conditions = after
+    ? {
+      $and: [filter, {
+        $or: [
+          { [field]: { [op]: after.value } },
+          { [field]: after.value, _id: { [op]: after.id } }
+        ]
+      }]
+    }
+    : filter;
+
+  const [docs, total] = await Promise.all([
+    build(Model.find(conditions))
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1),
+    withTotal ? Model.countDocuments(filter) : undefined
+  ]);
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const last = items[items.length - 1];
+
+  const result = {
+    items,
+    // get() also reads nested sort fields such as event.startsAt
+    nextCursor: hasMore ? encodeCursor(last.get(field), last._id) : null,
+    hasMore
+  };
+  if (withTotal) result.total = total;
+
+  return result;
+};
+
+const compareKeys = (value, id, otherValue, otherId) => {
+  if (value < otherValue) return -1;
+  if (value > otherValue) return 1;
+  return id.toString().localeCompare(otherId.toString());
+};
+
+// Paginate an in-memory array, e.g. the comments embedded in a document,
+// with the same pages and cursors as `paginate`
+const paginateArray = (docs, page) => {
+  const { field, direction, limit, after, withTotal } = page;
+
+  const sorted = [...docs].sort((a, b) => direction * compareKeys(a[field], a._id, b[field], b._id));
+  const remaining = after
+    ? sorted.filter((doc) => direction * compareKeys(doc[field], doc._id, after.value, after.id) > 0)
+    : sorted;
+
+  const hasMore = remaining.length > limit;
+  const items = remaining.slice(0, limit);
+  const last = items[items.length - 1];
+
+  const result = {
+    items,
+    nextCursor: hasMore ? encodeCursor(last[field], last._id) : null,
+    hasMore
+  };
+  if (withTotal) result.total = docs.length;
+
+  return result;
+};
+
+module.exports = { parsePagination, paginate, paginateArray };
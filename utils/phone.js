@@ -0,0 +1,20 @@
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '91';
+
+// Normalize a phone number to E.164 (+<country code><number>).
+// Local 10 digit numbers get DEFAULT_COUNTRY_CODE. Returns null when the
+// value is not a plausible phone number.
+const normalizePhone = (value) => {
+  if (!value) return null;
+
+  let phone = String(value).replace(/[\s\-().]/g, '');
+  if (phone.startsWith('00')) phone = `+${phone.slice(2)}`;
+
+  if (!phone.startsWith('+')) {
+    phone = phone.replace(/^0/, '');
+    phone = phone.length === 10 ? `+${DEFAULT_COUNTRY_CODE}${phone}` : `+${phone}`;
+  }
+
+  return /^\+[1-9]\d{7,14}$/.test(phone) ? phone : null;
+};
+
+module.exports = { normalizePhone };
@@ -0,0 +1,192 @@
+// Central role and permission policy.
+//
+// Permissions are "<resource>:<action>". A role may hold an action outright
+// or only for its own records ("<resource>:<action>:own"); OWNER_FIELDS
+// says which field of a record names its owner. Roles with `villageScoped`
+// only hold their permissions inside their own village.
+
+const MEMBER_PERMISSIONS = [
+  'problem:create',
+  'problem:upvote',
+  'problem:update:own',
+  'problem:attach:own',
+  'problem:claim',
+  'solution:create',
+  'solution:upvote',
+  'solution:comment',
+  'solution:update:own',
+  'solution:delete:own',
+  'solution:attach:own',
+  'solution:pledge',
+  'pledge:cancel:own',
+  'forum:create',
+  'forum:upvote',
+  'forum:comment',
+  'forum:rsvp',
+  'forum:update:own',
+  'forum:delete:own',
+  'forum:attach:own',
+  'content:flag',
+  'poll:vote',
+  'poll:manage:own'
+];
+
+const VILLAGE_ADMIN_PERMISSIONS = [
+  ...MEMBER_PERMISSIONS,
+  'problem:view-unverified',
+  'problem:update',
+  'problem:attach',
+  'problem:status',
+  'problem:verify',
+  'problem:assign',
+  'problem:merge',
+  'problem:delete',
+  'solution:update',
+  'solution:delete',
+  'solution:attach',
+  'solution:status',
+  'solution:funding',
+  'pledge:cancel',
+  'forum:update',
+  'forum:delete',
+  'forum:attach',
+  'forum:pin',
+  'poll:create',
+  'poll:manage',
+  'comment:delete',
+  'moderation:review',
+  'admin:access',
+  'admin:export',
+  'admin:import',
+  'audit:view',
+  'user:manage',
+  'village:update',
+  'village:budget'
+];
+
+const ROLES = {
+  villager: {
+    permissions: [...MEMBER_PERMISSIONS, 'problem:view-unverified', 'problem:complete']
+  },
+  // Volunteers only see verified problems
+  volunteer: {
+    permissions: [...MEMBER_PERMISSIONS, 'problem:complete']
+  },
+  'village-admin': {
+    villageScoped: true,
+    permissions: VILLAGE_ADMIN_PERMISSIONS
+  },
+  admin: {
+    permissions: [
+      ...VILLAGE_ADMIN_PERMISSIONS,
+      'village:create',
+      'village:deactivate',
+      // Act on any village: create records elsewhere or move them
+      'village:any',
+      'user:manage-admins'
+    ]
+  }
+};
+
+// Roles anyone can pick when signing up
+const SELF_ASSIGNABLE_ROLES = ['villager', 'volunteer'];
+
+const PRIVILEGED_ROLES = Object.keys(ROLES).filter((role) => ROLES[role].permissions.includes('admin:access'));
+
+// Request body fields each role may set when creating or updating a record.
+// Everything else (verification, status, votes, owners, ...) is changed
+// only through dedicated routes. Roles missing from a list fall back to
+// `default`.
+const PROBLEM_FIELDS = ['title', 'description', 'category', 'location', 'coordinates', 'priority', 'images'];
+const SOLUTION_FIELDS = ['title', 'description', 'estimatedCost', 'estimatedTime'];
+const FORUM_POST_FIELDS = ['title', 'content', 'category', 'tags', 'event'];
+
+const WRITABLE_FIELDS = {
+  Problem: {
+    create: {
+      default: PROBLEM_FIELDS,
+      admin: [...PROBLEM_FIELDS, 'village']
+    },
+    update: {
+      default: PROBLEM_FIELDS,
+      admin: [...PROBLEM_FIELDS, 'village']
+    }
+  },
+  Solution: {
+    create: {
+      default: ['problem', ...SOLUTION_FIELDS]
+    },
+    update: {
+      default: SOLUTION_FIELDS
+    }
+  },
+  ForumPost: {
+    create: {
+      default: FORUM_POST_FIELDS,
+      'village-admin': [...FORUM_POST_FIELDS, 'isPinned'],
+      admin: [...FORUM_POST_FIELDS, 'isPinned', 'village']
+    },
+    update: {
+      default: FORUM_POST_FIELDS,
+      'village-admin': [...FORUM_POST_FIELDS, 'isPinned'],
+      admin: [...FORUM_POST_FIELDS, 'isPinned', 'village']
+    }
+  }
+};
+
+const writableFields = (user, modelName, operation) => {
+  const fields = WRITABLE_FIELDS[modelName][operation];
+  return fields[user.role] || fields.default;
+};
+
+const OWNER_FIELDS = {
+  Problem: 'reportedBy',
+  Solution: 'proposedBy',
+  ForumPost: 'author',
+  Pledge: 'pledgedBy',
+  Poll: 'createdBy'
+};
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const hasPermission = (user, permission) => {
+  const role = user && ROLES[user.role];
+  return !!role && role.permissions.includes(permission);
+};
+
+const isOwner = (user, record) => {
+  const field = record && record.constructor && OWNER_FIELDS[record.constructor.modelName];
+  return !!field && !!user && idOf(record[field]) === idOf(user);
+};
+
+// Village-scoped roles only act on records of their own village
+const inScope = (user, record) => {
+  if (!isVillageScoped(user)) return true;
+  return !!user.village && !!record && idOf(record.village) === idOf(user.village);
+};
+
+// Whether `user` may perform `action` ("<resource>:<action>") on `record`.
+// Records only need a `village` field and, for own-permissions, an owner.
+const can = (user, action, record) => {
+  if (!user || !ROLES[user.role]) return false;
+  if (hasPermission(user, action) && inScope(user, record)) return true;
+  return hasPermission(user, `${action}:own`) && isOwner(user, record);
+};
+
+const isVillageScoped = (user) => !!user && !!ROLES[user.role] && !!ROLES[user.role].villageScoped;
+
+// Query filter limiting lists to the records a village-scoped role manages
+const scopeFilter = (user) => {
+  return isVillageScoped(user) ? { village: user.village } : {};
+};
+
+module.exports = {
+  ROLES,
+  SELF_ASSIGNABLE_ROLES,
+  PRIVILEGED_ROLES,
+  hasPermission,
+  isVillageScoped,
+  can,
+  scopeFilter,
+  writableFields
+};
@@ -0,0 +1,68 @@
+const Vote = require('../models/Vote');
+const User = require('../models/User');
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// Why `user` may not vote in `poll` right now, or null
+const voteError = (user, poll, now = new Date()) => {
+  const status = poll.statusAt(now);
+
+  if (status === 'scheduled') return 'This poll has not opened yet';
+  if (status === 'closed') return 'This poll is closed';
+  if (poll.villageOnly && idOf(user.village) !== idOf(poll.village)) {
+    return 'Only members of this village can vote in this poll';
+  }
+  return null;
+};
+
+// Why `choices` (option ids) are not a valid ballot for `poll`, or null
+const ballotError = (poll, choices) => {
+  if (!Array.isArray(choices) || !choices.length) return 'Choose at least one option';
+  if (new Set(choices.map(String)).size !== choices.length) return 'Each option can only be chosen once';
+  if (!poll.multipleChoice && choices.length > 1) return 'Choose only one option';
+  if (poll.maxChoices && choices.length > poll.maxChoices) return `Choose at most ${poll.maxChoices} option${poll.maxChoices === 1 ? '' : 's'}`;
+  if (choices.some((choice) => !poll.options.id(choice))) return 'Unknown option';
+  return null;
+};
+
+// Votes per option and the number of voters. Public polls also list who
+// voted for each option.
+const pollResults = async (poll) => {
+  const [tallies, totalVoters] = await Promise.all([
+    Vote.aggregate([
+      { $match: { poll: poll._id } },
+      { $unwind: '$choices' },
+      {
+        $group: {
+          _id: '$choices',
+          votes: { $sum: 1 },
+          ...(poll.isAnonymous ? {} : { voters: { $push: '$user' } })
+        }
+      }
+    ]),
+    Vote.countDocuments({ poll: poll._id })
+  ]);
+
+  const byOption = new Map(tallies.map((tally) => [tally._id.toString(), tally]));
+
+  let names = new Map();
+  if (!poll.isAnonymous) {
+    const users = await User.find({ _id: { $in: tallies.flatMap((tally) => tally.voters) } }).select('name');
+    names = new Map(users.map((user) => [user._id.toString(), user.name]));
+  }
+
+  return {
+    totalVoters,
+    options: poll.options.map((option) => {
+      const tally = byOption.get(option._id.toString());
+      const result = { _id: option._id, text: option.text, solution: option.solution, votes: tally ? tally.votes : 0 };
+
+      if (!poll.isAnonymous) {
+        result.voters = (tally ? tally.voters : []).map((voter) => ({ _id: voter, name: names.get(voter.toString()) }));
+      }
+      return result;
+    })
+  };
+};
+
+module.exports = { voteError, ballotError, pollResults };
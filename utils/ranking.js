@@ -0,0 +1,169 @@
+const Solution = require('../models/Solution');
+const { notify } = require('./notifications');
+const { publishSolution } = require('./realtime');
+
+// Community ranking of a problem's solutions.
+//
+// Each solution gets a score between 0 and 1 from four signals:
+// - votes: upvotes, log-scaled against the most upvoted solution
+// - diversity: how spread the voters are over villages and roles
+//   (Gini-Simpson index), so one group cannot push a solution alone
+// - recency: halves every RANKING_HALF_LIFE_DAYS since it was proposed
+// - cost: cheaper estimates rank higher; unknown costs count as average
+//
+// Pending solutions scoring at least SHORTLIST_THRESHOLD with at least
+// SHORTLIST_MIN_UPVOTES upvotes are shortlisted for admins to review.
+// Weights can be overridden with RANKING_WEIGHTS, e.g. {"votes":0.6,"cost":0}
+
+const DEFAULT_WEIGHTS = { votes: 0.5, diversity: 0.2, recency: 0.15, cost: 0.15 };
+const DAY = 24 * 60 * 60 * 1000;
+
+const loadWeights = () => {
+  if (!process.env.RANKING_WEIGHTS) return DEFAULT_WEIGHTS;
+
+  try {
+    return { ...DEFAULT_WEIGHTS, ...JSON.parse(process.env.RANKING_WEIGHTS) };
+  } catch (error) {
+    console.error('Ignoring invalid RANKING_WEIGHTS:', error.message);
+    return DEFAULT_WEIGHTS;
+  }
+};
+
+const weights = loadWeights();
+const halfLifeDays = Number(process.env.RANKING_HALF_LIFE_DAYS) || 14;
+// Numeric setting where 0 is a valid value: the default only applies when
+// the variable is unset or not a number
+const numberFromEnv = (name, fallback) => {
+  const value = process.env[name] === undefined || process.env[name] === '' ? NaN : Number(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const shortlistThreshold = numberFromEnv('SHORTLIST_THRESHOLD', 0.6);
+const shortlistMinUpvotes = numberFromEnv('SHORTLIST_MIN_UPVOTES', 3);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const diversityOf = (voters) => {
+  if (voters.length < 2) return 0;
+
+  const groups = {};
+  voters.forEach((voter) => {
+    const key = `${voter.village || ''}:${voter.role || ''}`;
+    groups[key] = (groups[key] || 0) + 1;
+  });
+
+  return 1 - Object.values(groups).reduce((sum, count) => sum + (count / voters.length) ** 2, 0);
+};
+
+// Score and order `solutions`, whose upvotes are populated with voters'
+// role and village. Returns [{ solution, rank, score, signals, shortlist }]
+// ordered best first.
+const rankSolutions = (solutions, now = new Date()) => {
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+  const maxVotes = Math.max(0, ...solutions.map((solution) => solution.upvotes.length));
+  const costs = solutions
+    .map((solution) => solution.estimatedCost)
+    .filter((cost) => typeof cost === 'number' && cost >= 0);
+  const minCost = Math.min(...costs);
+  const maxCost = Math.max(...costs);
+
+  return solutions
+    .map((solution) => {
+      const votes = solution.upvotes.length;
+      const ageDays = (now - solution.createdAt) / DAY;
+      const cost = solution.estimatedCost;
+
+      const signals = {
+        votes: maxVotes ? Math.log1p(votes) / Math.log1p(maxVotes) : 0,
+        diversity: diversityOf(solution.upvotes),
+        recency: Math.pow(0.5, Math.max(ageDays, 0) / halfLifeDays),
+        cost: typeof cost !== 'number' || cost < 0
+          ? 0.5
+          : maxCost === minCost ? 1 : 1 - (cost - minCost) / (maxCost - minCost)
+      };
+
+      const score = Object.keys(DEFAULT_WEIGHTS)
+        .reduce((sum, signal) => sum + (weights[signal] || 0) * signals[signal], 0) / totalWeight;
+
+      Object.keys(signals).forEach((signal) => { signals[signal] = round(signals[signal]); });
+
+      return {
+        solution,
+        score: round(score),
+        signals,
+        shortlist: solution.status === 'pending' && votes >= shortlistMinUpvotes && score >= shortlistThreshold
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.solution.upvotes.length - a.solution.upvotes.length)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+};
+
+// Rank the solutions of a problem. Rejected and hidden solutions are left out.
+const rankProblemSolutions = async (problemId) => {
+  const solutions = await Solution.find({ problem: problemId, status: { $ne: 'rejected' }, isHidden: { $ne: true } })
+    .populate('upvotes', 'role village')
+    .populate('proposedBy', 'name email village');
+
+  return rankSolutions(solutions);
+};
+
+// Re-rank a problem's solutions and store which ones are shortlisted.
+// Newly shortlisted solutions notify their proposer. Failures are logged
+// and never fail the request that triggered them.
+const updateShortlist = async (problemId, actor) => {
+  try {
+    const ranking = await rankProblemSolutions(problemId);
+
+    for (const { solution, shortlist } of ranking) {
+      if (Boolean(solution.isShortlisted) === shortlist) continue;
+
+      await Solution.updateOne(
+        { _id: solution._id },
+        shortlist
+          ? { $set: { isShortlisted: true, shortlistedAt: new Date() } }
+          : { $set: { isShortlisted: false }, $unset: { shortlistedAt: '' } }
+      );
+
+      if (shortlist) {
+        publishSolution('solution.shortlisted', solution);
+        await notify({
+          recipient: solution.proposedBy._id,
+          actor,
+          type: 'solution-status',
+          message: `Your solution "${solution.title}" was shortlisted by the community`,
+          target: { kind: 'Solution', item: solution._id }
+        });
+      }
+    }
+
+    return ranking;
+  } catch (error) {
+    console.error('Failed to update solution shortlist:', error);
+    return null;
+  }
+};
+
+// Public shape of a ranking entry
+const rankingEntry = ({ solution, rank, score, signals }) => ({
+  rank,
+  score,
+  signals,
+  solution: {
+    _id: solution._id,
+    title: solution.title,
+    status: solution.status,
+    estimatedCost: solution.estimatedCost,
+    upvotes: solution.upvotes.length,
+    isShortlisted: Boolean(solution.isShortlisted),
+    proposedBy: solution.proposedBy,
+    createdAt: solution.createdAt
+  }
+});
+
+module.exports = {
+  shortlistThreshold,
+  rankSolutions,
+  rankProblemSolutions,
+  updateShortlist,
+  rankingEntry
+};
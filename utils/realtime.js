@@ -0,0 +1,76 @@
+const EventEmitter = require('events');
+
+// In-process event bus for the /api/events stream. Every published event
+// carries a scope ({ village, problem, user, isVerified }) that is matched
+// against each client's subscriptions.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const idOf = (value) => (value ? (value._id || value).toString() : undefined);
+
+const publish = (event, data, scope = {}) => {
+  bus.emit('event', { event, data, scope });
+};
+
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+const publishProblem = (event, problem) => {
+  publish(event, {
+    id: idOf(problem),
+    title: problem.title,
+    status: problem.status,
+    category: problem.category,
+    priority: problem.priority,
+    isVerified: problem.isVerified,
+    village: idOf(problem.village),
+    assignedTo: idOf(problem.assignedTo)
+  }, {
+    village: idOf(problem.village),
+    problem: idOf(problem),
+    isVerified: problem.isVerified
+  });
+};
+
+const publishSolution = (event, solution) => {
+  publish(event, {
+    id: idOf(solution),
+    title: solution.title,
+    status: solution.status,
+    problem: idOf(solution.problem),
+    village: idOf(solution.village),
+    proposedBy: idOf(solution.proposedBy)
+  }, {
+    village: idOf(solution.village),
+    problem: idOf(solution.problem)
+  });
+};
+
+const publishForumComment = (post, comment) => {
+  publish('forum.comment', {
+    post: idOf(post),
+    title: post.title,
+    comment: idOf(comment),
+    parent: idOf(comment.parent),
+    user: idOf(comment.user),
+    text: comment.text
+  }, {
+    village: idOf(post.village)
+  });
+};
+
+// Delivered only to the recipient's own streams
+const publishNotification = (notification) => {
+  publish('notification', notification, { user: idOf(notification.recipient) });
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  publishProblem,
+  publishSolution,
+  publishForumComment,
+  publishNotification
+};
@@ -0,0 +1,30 @@
+// Run `task` every `minutes` inside the server process, starting now.
+// Runs never overlap; failures are logged and the next run goes ahead.
+// Returns the timer, or null when `minutes` is 0 or invalid.
+const every = (name, minutes, task) => {
+  if (!(minutes > 0)) return null;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  run();
+  return timer;
+};
+
+// Interval in minutes from an environment variable, `fallback` when unset
+const intervalFromEnv = (variable, fallback) =>
+  (process.env[variable] === undefined ? fallback : Number(process.env[variable]));
+
+module.exports = { every, intervalFromEnv };
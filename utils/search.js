@@ -0,0 +1,47 @@
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Search terms of a $text query, without negated terms and crudely stemmed
+// so "pumps" also highlights "pump" the way Mongo's stemmer matches it
+const searchTerms = (query) => {
+  return String(query)
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.toLowerCase().replace(/(ing|ed|es|s)$/, ''))
+    .filter((term) => term.length > 1);
+};
+
+// A short excerpt of `text` around the first matching term, HTML-escaped,
+// with matching words wrapped in <mark>
+const highlight = (text, terms) => {
+  if (!text) return '';
+  if (!terms.length) return escapeHtml(text.slice(0, SNIPPET_LENGTH));
+
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+  const firstMatch = text.search(pattern);
+  const start = Math.max(0, (firstMatch === -1 ? 0 : firstMatch) - SNIPPET_LENGTH / 4);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  // Match on the raw text and escape each piece afterwards, so terms like
+  // "amp" or "lt" never match inside the entities escaping adds
+  const raw = text.slice(start, end);
+  let snippet = '';
+  let last = 0;
+  for (const match of raw.matchAll(pattern)) {
+    snippet += `${escapeHtml(raw.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  snippet += escapeHtml(raw.slice(last));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = { searchTerms, highlight };
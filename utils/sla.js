@@ -0,0 +1,81 @@
+// Response and resolution deadlines (SLA) for problems.
+//
+// A problem must get a first response (leave "open") and be resolved
+// within a number of hours that depends on its priority. Categories may
+// tighten or relax individual priorities. The defaults below can be
+// overridden with SLA_CONFIG, a JSON object of the same shape, e.g.
+// {"resolution":{"low":1440},"categories":{"water":{"response":{"high":6}}}}
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const DEFAULT_POLICY = {
+  response: { low: 72, medium: 48, high: 24, urgent: 4 },
+  resolution: { low: 720, medium: 336, high: 168, urgent: 48 },
+  categories: {
+    health: {
+      response: { high: 12, urgent: 2 },
+      resolution: { high: 72, urgent: 24 }
+    },
+    water: {
+      response: { high: 12, urgent: 2 },
+      resolution: { high: 96, urgent: 24 }
+    },
+    electricity: {
+      response: { urgent: 2 },
+      resolution: { urgent: 24 }
+    }
+  }
+};
+
+const HOUR = 60 * 60 * 1000;
+
+const loadPolicy = () => {
+  if (!process.env.SLA_CONFIG) return DEFAULT_POLICY;
+
+  try {
+    const custom = JSON.parse(process.env.SLA_CONFIG);
+    const categories = { ...DEFAULT_POLICY.categories };
+    Object.entries(custom.categories || {}).forEach(([category, deadlines]) => {
+      const current = categories[category] || {};
+      categories[category] = {
+        response: { ...current.response, ...deadlines.response },
+        resolution: { ...current.resolution, ...deadlines.resolution }
+      };
+    });
+
+    return {
+      response: { ...DEFAULT_POLICY.response, ...custom.response },
+      resolution: { ...DEFAULT_POLICY.resolution, ...custom.resolution },
+      categories
+    };
+  } catch (error) {
+    console.error('Ignoring invalid SLA_CONFIG:', error.message);
+    return DEFAULT_POLICY;
+  }
+};
+
+const policy = loadPolicy();
+
+// Hours allowed for `kind` ("response" or "resolution")
+const hoursFor = (kind, { priority, category }) => {
+  const override = policy.categories[category] && policy.categories[category][kind];
+  if (override && override[priority] !== undefined) return override[priority];
+  return policy[kind][priority];
+};
+
+const deadline = (kind, problem, from) =>
+  new Date(new Date(from).getTime() + hoursFor(kind, problem) * HOUR);
+
+// The next priority up, or null when already urgent
+const nextPriority = (priority) => {
+  const index = PRIORITIES.indexOf(priority);
+  return index > -1 && index < PRIORITIES.length - 1 ? PRIORITIES[index + 1] : null;
+};
+
+module.exports = {
+  PRIORITIES,
+  policy,
+  hoursFor,
+  deadline,
+  nextPriority
+};
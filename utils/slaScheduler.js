@@ -0,0 +1,89 @@
+const Problem = require('../models/Problem');
+const { nextPriority } = require('./sla');
+const { notifyAdmins } = require('./notifications');
+const { publishProblem } = require('./realtime');
+const { every, intervalFromEnv } = require('./scheduler');
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+const BREACHES = {
+  response: {
+    dueField: 'responseDueAt',
+    breachedField: 'responseBreachedAt',
+    statuses: ['open'],
+    describe: (problem) => `"${problem.title}" has had no response within its SLA`
+  },
+  resolution: {
+    dueField: 'resolutionDueAt',
+    breachedField: 'resolutionBreachedAt',
+    statuses: ['open', 'in-progress'],
+    describe: (problem) => `"${problem.title}" was not resolved within its SLA`
+  }
+};
+
+// Flag one missed deadline, raise the priority one level and alert admins.
+// The conditional update makes sure each breach is escalated only once,
+// even with several server processes running the scheduler.
+const escalate = async (problem, reason, now) => {
+  const { breachedField } = BREACHES[reason];
+  const priority = nextPriority(problem.priority);
+  const update = {
+    $set: { [breachedField]: now },
+    $push: { escalations: { reason, from: problem.priority, to: priority || problem.priority, at: now } }
+  };
+  if (priority) update.$set.priority = priority;
+
+  // Bypasses save hooks on purpose: escalation keeps the original deadlines
+  const escalated = await Problem.findOneAndUpdate(
+    { _id: problem._id, [breachedField]: null },
+    update,
+    { new: true }
+  );
+  if (!escalated) return false;
+
+  publishProblem('problem.escalated', escalated);
+
+  const message = BREACHES[reason].describe(escalated) +
+    (priority ? ` and was escalated to ${priority} priority` : '');
+  await notifyAdmins(escalated.village, {
+    type: 'problem-overdue',
+    message,
+    target: { kind: 'Problem', item: escalated._id }
+  });
+
+  return true;
+};
+
+// Escalate every problem whose response or resolution deadline has passed.
+// Resolves to the number of breaches escalated.
+const checkOverdue = async (now = new Date()) => {
+  let count = 0;
+
+  for (const [reason, { dueField, breachedField, statuses }] of Object.entries(BREACHES)) {
+    const overdue = await Problem.find({
+      status: { $in: statuses },
+      mergedInto: null,
+      [dueField]: { $lte: now },
+      [breachedField]: null
+    }).select('title priority village');
+
+    for (const problem of overdue) {
+      if (await escalate(problem, reason, now)) count++;
+    }
+  }
+
+  return count;
+};
+
+// Run checkOverdue every SLA_CHECK_INTERVAL_MINUTES (default 5) inside the
+// server process. Set it to 0 to turn the scheduler off.
+const startSlaScheduler = () => every(
+  'SLA check',
+  intervalFromEnv('SLA_CHECK_INTERVAL_MINUTES', DEFAULT_INTERVAL_MINUTES),
+  async () => {
+    const count = await checkOverdue();
+    if (count) console.log(`SLA check escalated ${count} overdue problem(s)`);
+  }
+);
+
+module.exports = { checkOverdue, startSlaScheduler };
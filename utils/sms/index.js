@@ -0,0 +1,17 @@
+// SMS providers share one interface: send(to, text)
+const providers = {
+  stub: () => require('./stub')(),
+  twilio: () => require('./twilio')({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_FROM
+  })
+};
+
+const providerName = process.env.SMS_PROVIDER || 'stub';
+
+if (!providers[providerName]) {
+  throw new Error(`Unknown SMS_PROVIDER "${providerName}"`);
+}
+
+module.exports = providers[providerName]();
@@ -0,0 +1,18 @@
+// Logs messages instead of sending them and keeps the latest ones in memory,
+// for local development and tests
+const createStubProvider = () => {
+  const sent = [];
+
+  return {
+    name: 'stub',
+    sent,
+
+    async send(to, text) {
+      sent.push({ to, text, at: new Date() });
+      if (sent.length > 100) sent.shift();
+      console.log(`[sms] To: ${to}\n[sms] ${text}`);
+    }
+  };
+};
+
+module.exports = createStubProvider;
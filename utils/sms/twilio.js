@@ -0,0 +1,27 @@
+// Sends SMS through the Twilio REST API
+const createTwilioProvider = ({ accountSid, authToken, from }) => {
+  if (!accountSid || !authToken || !from) {
+    throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM must be set');
+  }
+
+  return {
+    name: 'twilio',
+
+    async send(to, text) {
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: text })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Twilio responded with ${response.status}: ${await response.text()}`);
+      }
+    }
+  };
+};
+
+module.exports = createTwilioProvider;
@@ -0,0 +1,56 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { stringify } = require('csv-stringify');
+
+const FORMATS = ['csv', 'xlsx'];
+
+const cellValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value;
+  const cell = Array.isArray(value) ? value.join('; ') : value;
+  // Keep user text such as "=HYPERLINK(...)" from running as a formula
+  if (typeof cell === 'string' && /^[=+\-@\t\r]/.test(cell)) return `'${cell}`;
+  return cell;
+};
+
+const writeCsv = async (res, columns, rows) => {
+  // The BOM makes Excel open UTF-8 (e.g. Hindi names) correctly
+  const csv = stringify({ header: true, columns: columns.map((column) => column.header), bom: true, cast: { date: (date) => date.toISOString() } });
+  csv.pipe(res);
+
+  for await (const row of rows) {
+    if (!csv.write(columns.map((column) => cellValue(column.value(row))))) {
+      await once(csv, 'drain');
+    }
+  }
+  csv.end();
+  await once(res, 'finish');
+};
+
+const writeXlsx = async (res, sheet, columns, rows) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheet);
+  worksheet.columns = columns.map((column) => ({ header: column.header, width: column.width || 18 }));
+  worksheet.getRow(1).font = { bold: true };
+
+  for await (const row of rows) {
+    worksheet.addRow(columns.map((column) => cellValue(column.value(row)))).commit();
+  }
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// Stream `rows` (any async iterable, e.g. a query cursor) to the response
+// as a CSV or XLSX download. `columns` is a list of { header, value(row) }.
+const sendSpreadsheet = async (res, { format, filename, sheet, columns, rows }) => {
+  res.attachment(`${filename}.${format}`);
+
+  if (format === 'xlsx') {
+    await writeXlsx(res, sheet, columns, rows);
+  } else {
+    res.type('text/csv; charset=utf-8');
+    await writeCsv(res, columns, rows);
+  }
+};
+
+module.exports = { FORMATS, sendSpreadsheet };
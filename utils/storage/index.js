@@ -0,0 +1,20 @@
+const path = require('path');
+
+// Storage adapters share one interface:
+//   save(key, buffer, contentType) -> public URL
+//   remove(key)
+//   mount(app)  optional, serves stored files from this server
+const drivers = {
+  local: () => require('./local')({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+    publicPath: '/uploads'
+  })
+};
+
+const driverName = process.env.STORAGE_DRIVER || 'local';
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}"`);
+}
+
+module.exports = drivers[driverName]();
@@ -0,0 +1,40 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+// Stores files on local disk and serves them from `publicPath`
+const createLocalStorage = ({ root, publicPath }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${publicPath}/${key}`;
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        // Already gone is fine
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    mount(app) {
+      app.use(publicPath, express.static(root, { index: false, dotfiles: 'deny' }));
+    }
+  };
+};
+
+module.exports = createLocalStorage;
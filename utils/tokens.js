@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const EMAIL_TOKEN_TTL = {
+  'verify-email': '24h',
+  'password-reset': '1h',
+  'account-setup': '7d'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT; `v` must match User.tokenVersion (checked in middleware/auth)
+const generateAccessToken = (user) => {
+  return jwt.sign({ userId: user._id, v: user.tokenVersion }, process.env.JWT_SECRET || 'fallback_secret', {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+const issueRefreshToken = async (user, req) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const session = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    tokenVersion: user.tokenVersion,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+  return { token, session };
+};
+
+// Access and refresh token pair returned by the auth routes
+const issueTokens = async (user, req) => {
+  const { token: refreshToken } = await issueRefreshToken(user, req);
+  return {
+    token: generateAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Invalidate every session of a user, including issued access tokens
+const revokeAllSessions = async (userId) => {
+  await Promise.all([
+    User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } }),
+    RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() })
+  ]);
+};
+
+// Exchange a refresh token for a new pair. Returns null when the token is
+// unknown, expired or revoked. Presenting an already rotated token means it
+// was stolen or replayed, so all of the user's sessions are revoked.
+const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Claim the session atomically, so of two concurrent refreshes with the
+  // same token only one gets a new pair
+  const session = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now },
+    { new: true }
+  );
+
+  if (!session) {
+    const used = await RefreshToken.findOne({ tokenHash });
+    if (used && used.replacedBy && used.expiresAt > now) await revokeAllSessions(used.user);
+    return null;
+  }
+
+  const user = await User.findById(session.user).select('-password');
+  if (!user || user.tokenVersion !== session.tokenVersion) return null;
+
+  const { token: refreshToken, session: next } = await issueRefreshToken(user, req);
+  await RefreshToken.updateOne({ _id: session._id }, { replacedBy: next._id });
+
+  return {
+    user,
+    tokens: { token: generateAccessToken(user), refreshToken, expiresIn: ACCESS_TOKEN_TTL }
+  };
+};
+
+const revokeRefreshToken = async (token) => {
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Email tokens are bound to the user's current email or password hash, so
+// a reset or setup link stops working once the password has been changed
+// with it
+const emailTokenBinding = (user, purpose) => {
+  const source = purpose === 'verify-email' ? user.email : user.password;
+  return hashToken(`${purpose}:${source}`).slice(0, 16);
+};
+
+// Signed, expiring token for links sent by email
+const createEmailToken = (user, purpose) => {
+  return jwt.sign(
+    { userId: user._id, purpose, b: emailTokenBinding(user, purpose) },
+    process.env.JWT_SECRET || 'fallback_secret',
+    { expiresIn: EMAIL_TOKEN_TTL[purpose] }
+  );
+};
+
+// Resolve the user of a valid email token for one of `purposes`, or null
+const verifyEmailToken = async (token, ...purposes) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+    if (!purposes.includes(decoded.purpose)) return null;
+
+    const user = await User.findById(decoded.userId);
+    if (!user || decoded.b !== emailTokenBinding(user, decoded.purpose)) return null;
+
+    return user;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createEmailToken,
+  verifyEmailToken,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+};
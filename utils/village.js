@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { hasPermission } = require('./policy');
+
+// Build the village filter for public list routes.
+// Lists default to the caller's village; `?village=<id>` selects another
+// village and `?village=all` removes the filter entirely.
+const villageFilter = (req) => {
+  const { village } = req.query;
+
+  if (village === 'all') return {};
+  if (village) {
+    if (!mongoose.Types.ObjectId.isValid(village)) return null;
+    return { village };
+  }
+  if (req.user && req.user.village) return { village: req.user.village };
+  return {};
+};
+
+// Village a newly created document belongs to: the author's own village,
+// or any village passed in the request body by users who may act anywhere.
+const targetVillage = (req) => {
+  const requested = req.body.village;
+
+  if (requested && hasPermission(req.user, 'village:any')) {
+    return mongoose.Types.ObjectId.isValid(requested) ? requested : null;
+  }
+  return req.user.village || null;
+};
+
+module.exports = { villageFilter, targetVillage };